@@ -6,159 +6,474 @@
 // Immediately-invoked function expression (IIFE) to encapsulate our code
 (function() {
   // CONSTANTS
-  const AUDIO_SOURCES = {
-    timer: 'sounds/timer-tick.mp3',
-    complete: 'sounds/exercise-complete.mp3',
-    transition: 'sounds/transition.mp3'
+  // Sound themes for the synthesized audio cues. Each cue is a list of
+  // [frequency (Hz), start (s), duration (s)] notes played with the theme's
+  // waveform at the theme's peak gain.
+  const SOUND_THEMES = {
+    chime: {
+      wave: 'sine',
+      gain: 0.4,
+      cues: {
+        timer: [[880, 0, 0.3]],
+        transition: [[659.25, 0, 0.4], [987.77, 0.12, 0.5]],
+        complete: [[523.25, 0, 0.5], [659.25, 0.15, 0.5], [783.99, 0.3, 1]]
+      }
+    },
+    digital: {
+      wave: 'square',
+      gain: 0.12,
+      cues: {
+        timer: [[1000, 0, 0.06]],
+        transition: [[800, 0, 0.08], [1200, 0.1, 0.08]],
+        complete: [[800, 0, 0.1], [800, 0.15, 0.1], [1200, 0.3, 0.3]]
+      }
+    },
+    soft: {
+      wave: 'triangle',
+      gain: 0.35,
+      cues: {
+        timer: [[440, 0, 0.25]],
+        transition: [[392, 0, 0.35], [523.25, 0.2, 0.45]],
+        complete: [[392, 0, 0.6], [493.88, 0.25, 0.6], [587.33, 0.5, 1.1]]
+      }
+    }
   };
   
-  // HAPTIC PATTERNS (milliseconds)
+  // HAPTIC PATTERNS (milliseconds), offered as presets per feedback event.
+  // Labels are the "feedback.pattern.<name>" messages.
   const HAPTIC_PATTERNS = {
-    timerComplete: [100, 50, 100],
-    exerciseStart: [50],
-    exerciseComplete: [200],
-    sessionComplete: [100, 100, 100, 100, 300]
+    tap: [50],
+    double: [100, 50, 100],
+    long: [200],
+    heartbeat: [60, 80, 120],
+    celebrate: [100, 100, 100, 100, 300]
+  };
+  
+  // Moments that give feedback, with their sound cue and default channels.
+  // Labels are the "feedback.event.<name>" messages.
+  const FEEDBACK_EVENTS = {
+    timerTick: { cue: 'timer', sound: true, vibration: false, flash: false, pattern: 'tap' },
+    timerComplete: { cue: 'complete', sound: true, vibration: true, flash: false, pattern: 'double' },
+    getReady: { cue: 'transition', sound: true, vibration: false, flash: false, pattern: 'tap' },
+    exerciseStart: { cue: 'transition', sound: true, vibration: true, flash: false, pattern: 'tap' },
+    exerciseComplete: { cue: 'complete', sound: true, vibration: true, flash: false, pattern: 'long' },
+    sessionComplete: { cue: 'complete', sound: true, vibration: true, flash: false, pattern: 'celebrate' }
   };
   
-  // Default config values
+  // Feedback channels that can be switched per event
+  const FEEDBACK_CHANNELS = ['sound', 'vibration', 'flash'];
+  
+  // Default config values (timer values can be overridden in Settings)
   const DEFAULTS = {
     WORK_DURATION: 45 * 60, // 45 minutes in seconds
-    EXERCISE_DURATION: 60,   // 1 minute per exercise
-    MAX_EXERCISES: 5         // Maximum exercises per session
+    EXERCISE_DURATION: 60,   // 1 minute per exercise (unless the exercise sets its own)
+    REST_DURATION: 10,       // "Get ready" seconds before each exercise (0 = off)
+    SNOOZE_DURATION: 5 * 60, // "Snooze 5 min" from the break notification
+    MAX_EXERCISES: 5,        // Maximum exercises per session
+    RECENT_SESSIONS_AVOIDED: 2 // Prefer exercises not used in this many past sessions
+  };
+  
+  // Local storage keys
+  const STORAGE_KEYS = {
+    session: 'hagius-active-journey.session',
+    preferences: 'hagius-active-journey.preferences',
+    recentExercises: 'hagius-active-journey.recent-exercises',
+    settings: 'hagius-active-journey.settings',
+    history: 'hagius-active-journey.history',
+    customExercises: 'hagius-active-journey.custom-exercises',
+    routines: 'hagius-active-journey.routines',
+    startAfterUpdate: 'hagius-active-journey.start-after-update' // sessionStorage
+  };
+  
+  // Maximum number of sessions kept in the history log
+  const HISTORY_LIMIT = 1000;
+  
+  // Export file format (bump VERSION when the shape changes)
+  const EXPORT_FORMAT = {
+    NAME: 'hagius-active-journey',
+    VERSION: 1
+  };
+  
+  // Bundled exercise catalog
+  const CATALOG = {
+    URL: 'exercises.json',
+    VERSION: 1, // Newest catalog format this build understands
+    DIFFICULTIES: ['easy', 'medium', 'hard']
+  };
+  
+  // Interface languages, each with a message catalog in locales/<code>.json
+  const I18N = {
+    LOCALES: ['en', 'de'],
+    DEFAULT_LOCALE: 'en', // Fallback language, also for messages a catalog lacks
+    PATH: 'locales/'
+  };
+  
+  // Color themes defined in styles.css (see applyTheme)
+  const COLOR_THEMES = ['light', 'dark', 'contrast'];
+  
+  // System appearance preferences the app follows
+  const MEDIA_QUERIES = {
+    dark: '(prefers-color-scheme: dark)',
+    contrast: '(prefers-contrast: more)',
+    reducedMotion: '(prefers-reduced-motion: reduce)'
+  };
+  
+  // System notification shown when a break is due while the app is hidden
+  const BREAK_NOTIFICATION = {
+    TAG: 'hagius-break-due'
+  };
+  
+  // Ways to put off a due break
+  const POSTPONE = {
+    SNOOZE_MINUTES: [5, 10, 15],
+    MEETING_SLOT: 30 * 60,      // Meetings are assumed to end on the hour or half hour
+    MEETING_MIN_WAIT: 5 * 60,   // ...but at least this far from now
+    // Logged reason per choice; the buttons show "skip.reason.<key>"
+    SKIP_REASONS: {
+      meeting: 'In a meeting',
+      focus: 'Deep in a task',
+      unwell: 'Not feeling well',
+      moved: 'Already moved'
+    }
+  };
+  
+  // Shown when an exercise image can't be loaded (e.g. offline and not cached)
+  const PLACEHOLDER_IMAGE = 'media/placeholder.svg';
+  
+  // Custom exercises
+  const CUSTOM_EXERCISES = {
+    IMAGE_MAX_SIZE: 480,         // Longest image side in px (images are kept in local storage)
+    DEFAULT_MEDIA: 'monogram.png' // Shown when no image was chosen
+  };
+  
+  // Exercise frequency levels set via the finish-screen tags or My Exercises
+  // (labelled by the "frequency.<level>" messages)
+  const FREQUENCY_LEVELS = {
+    less: { probability: 0.5 },
+    nothing: { probability: 1 },
+    more: { probability: 2 }
+  };
+  
+  // Session snapshot config
+  const SESSION_SNAPSHOT = {
+    VERSION: 5,
+    MAX_AGE: 12 * 60 * 60 * 1000 // Ignore snapshots older than 12 hours
+  };
+  
+  /**
+   * Feedback settings as defined in FEEDBACK_EVENTS
+   * @return {Object} Map of event name to { sound, vibration, flash, pattern }
+   */
+  function defaultFeedback() {
+    const feedback = {};
+    Object.keys(FEEDBACK_EVENTS).forEach(name => {
+      const { sound, vibration, flash, pattern } = FEEDBACK_EVENTS[name];
+      feedback[name] = { sound, vibration, flash, pattern };
+    });
+    return feedback;
+  }
+  
+  // User-configurable settings and their defaults
+  const DEFAULT_SETTINGS = {
+    workDuration: DEFAULTS.WORK_DURATION,         // seconds
+    exerciseDuration: DEFAULTS.EXERCISE_DURATION, // seconds
+    maxExercises: DEFAULTS.MAX_EXERCISES,         // segments per break
+    restDuration: DEFAULTS.REST_DURATION,         // seconds
+    activeRoutineId: null,                        // null = random selection
+    notificationsEnabled: false,                  // opt-in break notifications
+    scheduleEnabled: false,                       // start/stop timers by working hours
+    workDays: [1, 2, 3, 4, 5],                    // Date#getDay() values, 0 = Sunday
+    workStart: '09:00',                           // "HH:MM", local time
+    workEnd: '17:00',
+    lunchStart: '12:00',                          // empty = no lunch block
+    lunchEnd: '13:00',
+    awayThreshold: 0,                             // seconds away before the timer reacts (0 = off)
+    awayAction: 'pause',                          // "pause" or "reset" the timer after an absence
+    soundMuted: false,
+    soundVolume: 70,                              // percent
+    soundTheme: 'chime',                          // key of SOUND_THEMES
+    voiceEnabled: false,                          // spoken exercise guidance
+    voiceLang: '',                                // BCP 47 tag, empty = page language
+    voiceName: '',                                // empty = the language's default voice
+    voiceRate: 100,                               // percent of normal speed
+    feedback: defaultFeedback(),                  // per event { sound, vibration, flash, pattern }
+    language: '',                                 // key of I18N.LOCALES, empty = browser languages
+    colorTheme: 'auto',                           // key of COLOR_THEMES, "auto" = system preference
+    wakeLock: 'exercises'                         // keep the screen on: "off", "exercises" or "always" (also focus time)
+  };
+  
+  // Allowed values for settings with a fixed set of choices
+  const SETTINGS_CHOICES = {
+    awayAction: ['pause', 'reset'],
+    soundTheme: Object.keys(SOUND_THEMES),
+    language: ['', ...I18N.LOCALES],
+    colorTheme: ['auto', ...COLOR_THEMES],
+    wakeLock: ['off', 'exercises', 'always']
+  };
+  
+  // Settings holding a local time of day ("HH:MM")
+  const TIME_SETTINGS = ['workStart', 'workEnd', 'lunchStart', 'lunchEnd'];
+  
+  // Away detection (see startAwayDetection)
+  const AWAY_DETECTION = {
+    IDLE_THRESHOLD: 60 * 1000, // Shortest threshold the Idle Detection API accepts (ms)
+    ACTIVITY_EVENTS: ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'],
+    SKIP_REASON: 'Away from desk' // Logged when an absence replaces a break
+  };
+  
+  // Voice coach: seconds at the end of a countdown that are counted out loud
+  const VOICE_COUNTDOWN = 3;
+  
+  // Keyboard shortcuts, listed in the cheat sheet in this order and
+  // described by the "shortcuts.<action>" messages
+  const SHORTCUTS = [
+    { keys: ['Space'], action: 'pause' },
+    { keys: ['N', '→'], action: 'skip' },
+    { keys: ['S'], action: 'start' },
+    { keys: ['M'], action: 'mute' },
+    { keys: ['1', '2', '3'], action: 'learnMore' },
+    { keys: ['?'], action: 'help' },
+    { keys: ['Esc'], action: 'close' }
+  ];
+  
+  // Screen reader announcements of the countdowns (seconds)
+  const ANNOUNCE = {
+    WORK_INTERVAL: 5 * 60, // Announce the focus time left every 5 minutes...
+    WORK_FINAL: 60,        // ...and once more when one minute is left
+    EXERCISE_FINAL: 10     // Seconds left in an exercise worth announcing
   };
   
-  // For testing, uncomment these lines to use shorter durations:
-  // const DEFAULTS = {
-  //   WORK_DURATION: 15, // 15 seconds for testing
-  //   EXERCISE_DURATION: 10,   // 10 seconds per exercise for testing
-  //   MAX_EXERCISES: 2         // Fewer exercises for testing
-  // };
+  // Elements that can take keyboard focus (see utils.trapFocus)
+  const FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+  
+  // How often the landing page checks whether working hours have begun (ms)
+  const SCHEDULE_CHECK_INTERVAL = 60 * 1000;
+  
+  // Allowed ranges for numeric settings
+  const SETTINGS_LIMITS = {
+    workDuration: { min: 60, max: 180 * 60 },
+    exerciseDuration: { min: 10, max: 300 },
+    maxExercises: { min: 1, max: 12 },
+    restDuration: { min: 0, max: 60 },
+    awayThreshold: { min: 0, max: 120 * 60 },
+    voiceRate: { min: 50, max: 200 },
+    soundVolume: { min: 0, max: 100 }
+  };
+  
+  // Timer presets shown in Settings (work minutes / break minutes)
+  const TIMER_PRESETS = [
+    { label: '25 / 5', workDuration: 25 * 60, exerciseDuration: 60, maxExercises: 5 },
+    { label: '45 / 5', workDuration: 45 * 60, exerciseDuration: 60, maxExercises: 5 },
+    { label: '90 / 10', workDuration: 90 * 60, exerciseDuration: 60, maxExercises: 10 }
+  ];
   
   // APP STATE
   const state = {
+    // Settings (loaded from storage on init)
+    settings: { ...DEFAULT_SETTINGS },
+    
     // Timer state
-    timerRemaining: DEFAULTS.WORK_DURATION,
-    timerInterval: null,
+    timerRemaining: DEFAULT_SETTINGS.workDuration,
+    workCountdown: null,
     timerIsPaused: false,
+    breakDue: false, // Work time is over but the break waits for the user
+    breakDueAt: null, // When the work countdown ran out
+    breakPrompt: null, // Open "time to move" modal, if any
+    scheduleDoneUntil: 0, // No automatic start before this time (see markScheduleDone)
+    
+    // Away detection
+    lastSeenAt: Date.now(), // Last sign of the user (fallback heuristics)
+    awaySince: null,        // Set by the Idle Detection API while the user is idle
+    idleDetector: null,     // Running IdleDetector, if the API is available and allowed
     
     // Exercise state
     currentExerciseIndex: 0,
     exerciseSegments: [],
     exerciseRemaining: 0,
-    exerciseInterval: null,
+    exerciseCountdown: null,
+    exercisePhase: 'exercise', // 'ready' (get ready interval) or 'exercise'
     completedExercises: [],
     isPaused: false,
     
+    // Custom exercise editor (image picked but not saved yet)
+    pendingCustomImage: null,
+    
+    // App updates (see registerServiceWorker)
+    waitingWorker: null,
+    updateAccepted: false,
+    
+    // Session log (see recordSession)
+    currentSession: null,
+    lastSessionId: null,
+    
     // UI state
     currentPage: 'landingPage',
-    isAudioReady: false,
+    locale: I18N.DEFAULT_LOCALE, // Interface language (see loadLocale)
+    knowledgeOpener: null, // Element focused before Learn More opened
+    audioContext: null,    // Created on the first user gesture (see sound.unlock)
+    masterGain: null,
+    wakeLock: null,        // Pending or held screen wake lock (see requestWakeLock)
     isVibrationSupported: 'vibrate' in navigator,
-    hapticEnabled: true,
     isVisible: true,
     elements: {},
     loadedResources: {
-      audio: false,
       dom: false,
       images: false
     },
     hasInteracted: false
   };
   
-  // Exercise pool (8 total)
-  const exercisesPool = [
-    {
-      name: "Single-Leg Balance w/ Toe Taps",
-      description: "Improve balance & ankle stability",
-      unilateral: true,
-      image: "https://furthermore-cdn.equinox.com/2016/10/long-weekend-workout-warmup/warmup01.gif",
-      probability: 1
-    },
-    {
-      name: "Standing Hip Circles",
-      description: "Loosen tight hips & improve joint mobility",
-      unilateral: false,
-      image: "https://furthermore-cdn.equinox.com/2016/10/long-weekend-workout-warmup/warmup01.gif",
-      probability: 1
-    },
-    {
-      name: "Neck Tilts & Rotations",
-      description: "Release neck tension from prolonged sitting",
-      unilateral: false,
-      image: "https://furthermore-cdn.equinox.com/2016/10/long-weekend-workout-warmup/warmup01.gif",
-      probability: 1
-    },
-    {
-      name: "Shoulder Rolls",
-      description: "Reduce shoulder stiffness & enhance posture",
-      unilateral: false,
-      image: "https://furthermore-cdn.equinox.com/2016/10/long-weekend-workout-warmup/warmup01.gif",
-      probability: 1
-    },
-    {
-      name: "Standing Figure-4 Stretch",
-      description: "Open up hips & glutes to counter desk posture",
-      unilateral: true,
-      image: "https://furthermore-cdn.equinox.com/2016/10/long-weekend-workout-warmup/warmup01.gif",
-      probability: 1
-    },
-    {
-      name: "Wall Angels",
-      description: "Promote better shoulder alignment & mobility",
-      unilateral: false,
-      image: "https://furthermore-cdn.equinox.com/2016/10/long-weekend-workout-warmup/warmup01.gif",
-      probability: 1
-    },
-    {
-      name: "Thoracic Extension",
-      description: "Relieve mid-back tightness & improve upright posture",
-      unilateral: false,
-      image: "https://furthermore-cdn.equinox.com/2016/10/long-weekend-workout-warmup/warmup01.gif",
-      probability: 1
-    },
-    {
-      name: "Standing Lateral Leg Raises",
-      description: "Strengthen hip abductors & improve balance",
-      unilateral: true,
-      image: "https://furthermore-cdn.equinox.com/2016/10/long-weekend-workout-warmup/warmup01.gif",
-      probability: 1
-    }
-  ];
+  // Exercise pool, filled from the catalog in exercises.json (see loadCatalog).
+  // Each entry carries the catalog fields plus probability (selection weight)
+  // and excluded, both restored from the stored preferences.
+  let exercisesPool = [];
+  
+  // Message catalogs by locale code, fetched on demand (see loadLocale)
+  const localeMessages = {};
   
   // UTILITY FUNCTIONS
   const utils = {
+    /**
+     * How long to wait for a CSS transition to finish. styles.css cuts
+     * transitions short when the user prefers reduced motion.
+     * @param {number} duration - Transition duration in ms
+     * @return {number} Milliseconds to wait
+     */
+    transitionTime: (duration) => {
+      return window.matchMedia(MEDIA_QUERIES.reducedMotion).matches ? 0 : duration;
+    },
+    
     /**
      * Shows a toast notification
      * @param {string} message - Message to display
      * @param {number} duration - How long to show in ms
+     * @param {Object} [action] - Optional button as { label, onSelect }
      */
-    showToast: (message, duration = 3000) => {
+    showToast: (message, duration = 3000, action = null) => {
       const toast = document.createElement('div');
       toast.className = 'toast';
       toast.textContent = message;
       
+      const hide = () => {
+        toast.classList.remove('visible');
+        setTimeout(() => {
+          toast.remove();
+        }, utils.transitionTime(300)); // Match transition duration
+      };
+      
+      if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+          hide();
+          action.onSelect();
+        });
+        toast.appendChild(button);
+      }
+      
       state.elements.toastContainer.appendChild(toast);
       
       // Force reflow to enable transition
       void toast.offsetWidth;
       toast.classList.add('visible');
       
-      setTimeout(() => {
-        toast.classList.remove('visible');
+      setTimeout(hide, duration);
+    },
+    
+    /**
+     * Shows a modal dialog with a list of actions
+     * @param {Object} options - Modal options
+     * @param {string} options.title - Heading text
+     * @param {string} options.message - Body text
+     * @param {Array} options.actions - Buttons as { label, onSelect }
+     * @return {Object} Object with a close() method
+     */
+    showModal: ({ title, message, actions = [] }) => {
+      const modal = document.createElement('div');
+      modal.className = 'completion-modal';
+      modal.setAttribute('role', 'dialog');
+      modal.setAttribute('aria-modal', 'true');
+      
+      const content = document.createElement('div');
+      content.className = 'modal-content';
+      
+      const heading = document.createElement('h2');
+      heading.textContent = title;
+      content.appendChild(heading);
+      
+      if (message) {
+        const text = document.createElement('p');
+        text.textContent = message;
+        content.appendChild(text);
+      }
+      
+      const close = () => {
+        modal.classList.remove('visible');
         setTimeout(() => {
-          toast.remove();
-        }, 300); // Match transition duration
-      }, duration);
+          modal.remove();
+        }, utils.transitionTime(300)); // Match transition duration
+      };
+      
+      actions.forEach(action => {
+        const button = document.createElement('button');
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+          close();
+          if (action.onSelect) action.onSelect();
+        });
+        content.appendChild(button);
+      });
+      
+      modal.appendChild(content);
+      document.body.appendChild(modal);
+      
+      // Force reflow to enable transition
+      void modal.offsetWidth;
+      modal.classList.add('visible');
+      
+      const firstButton = content.querySelector('button');
+      if (firstButton) firstButton.focus();
+      
+      return { close };
+    },
+    
+    /**
+     * Show or hide a full-screen overlay section
+     * @param {HTMLElement} element - The overlay element
+     * @param {boolean} visible - Whether it should be shown
+     */
+    setOverlayVisible: (element, visible) => {
+      if (!element) return;
+      element.style.display = visible ? 'block' : 'none';
+      element.setAttribute('aria-hidden', (!visible).toString());
     },
     
     /**
-     * Format seconds into MM:SS display
+     * Offer text content as a file download
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File content
+     * @param {string} type - MIME type
+     */
+    downloadFile: (filename, content, type) => {
+      const url = URL.createObjectURL(new Blob([content], { type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+    
+    /**
+     * Format seconds into MM:SS display, with the interface language's digits
      * @param {number} seconds - Seconds to format
      * @return {string} Formatted time string
      */
     formatTime: (seconds) => {
-      const mins = Math.floor(seconds / 60);
-      const secs = Math.floor(seconds % 60);
-      return `${mins < 10 ? '0' + mins : mins}:${secs < 10 ? '0' + secs : secs}`;
+      const twoDigits = new Intl.NumberFormat(state.locale, { minimumIntegerDigits: 2, useGrouping: false });
+      return `${twoDigits.format(Math.floor(seconds / 60))}:${twoDigits.format(Math.floor(seconds % 60))}`;
     },
     
     /**
@@ -174,17 +489,42 @@
     },
     
     /**
-     * Shuffle array in place using Fisher-Yates algorithm
-     * @param {Array} array - Array to shuffle
-     * @return {Array} The shuffled array
+     * Read a message to screen reader users through the polite live region
+     * @param {string} message - Text to announce
+     */
+    announce: (message) => {
+      const region = state.elements.liveAnnouncer;
+      if (!region) return;
+      
+      // Clear first so repeating the same message is announced again
+      region.textContent = '';
+      setTimeout(() => {
+        region.textContent = message;
+      }, 100);
+    },
+    
+    /**
+     * Keep Tab and Shift+Tab focus cycling inside a dialog
+     * @param {KeyboardEvent} e - Keydown event
+     * @param {HTMLElement} container - Dialog element
      */
-    shuffle: (array) => {
-      const newArray = [...array]; // Create a copy to avoid modifying original
-      for (let i = newArray.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
+    trapFocus: (e, container) => {
+      if (e.key !== 'Tab') return;
+      
+      const focusable = [...container.querySelectorAll(FOCUSABLE)]
+        .filter(element => element.offsetParent !== null && !element.disabled);
+      if (focusable.length === 0) return;
+      
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      
+      if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
       }
-      return newArray;
     },
     
     /**
@@ -222,68 +562,174 @@
 		
       // Update button visibility based on current page
       updateButtonVisibility(pageId);
+      
+      // Exercises (and optionally the focus timer) keep the screen on
+      updateWakeLock();
     },
     
     /**
      * Trigger haptic feedback if supported
      * @param {Array|number} pattern - Vibration pattern
+     * @return {boolean} Whether the device accepted the vibration
      */
     triggerHaptic: (pattern) => {
-      if (!state.isVibrationSupported || !state.hapticEnabled) return;
+      if (!state.isVibrationSupported) return false;
       
       try {
-        if (pattern && (typeof pattern === 'number' || pattern.length > 0)) {
-          const result = navigator.vibrate(pattern);
-          if (result === false) {
-            state.hapticEnabled = false;
-            console.warn('Vibration failed - disabled');
-          }
-        }
+        // Browsers refuse (return false) e.g. before the first user gesture,
+        // which says nothing about later calls
+        return navigator.vibrate(pattern) !== false;
       } catch (e) {
         console.warn('Haptic feedback error:', e);
-        state.hapticEnabled = false;
+        return false;
       }
     },
     
     /**
-     * Play audio with error handling
-     * @param {string} audioType - Type of audio to play
+     * Briefly flash the screen as a visual cue
+     */
+    flashScreen: () => {
+      const overlay = state.elements.flashOverlay;
+      if (!overlay) return;
+      
+      overlay.classList.remove('flashing');
+      // Force reflow so the animation restarts
+      void overlay.offsetWidth;
+      overlay.classList.add('flashing');
+    },
+    
+    /**
+     * Play a synthesized audio cue
+     * @param {string} audioType - "timer", "transition" or "complete"
      */
     playAudio: (audioType) => {
-      if (!state.isAudioReady || !state.hasInteracted) return;
+      sound.play(audioType);
+    }
+  };
+  
+  // AUDIO CUES
+  const sound = {
+    /**
+     * Create or wake up the audio context. Browsers keep it silent until a
+     * user gesture, so this runs on the first one (and before previews).
+     */
+    unlock: () => {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return;
       
       try {
-        let audioElement = null;
-        
-        switch(audioType) {
-          case 'timer':
-            audioElement = state.elements.audioTimer;
-            break;
-          case 'complete':
-            audioElement = state.elements.audioComplete;
-            break;
-          case 'transition':
-            audioElement = state.elements.audioTransition;
-            break;
+        if (!state.audioContext) {
+          state.audioContext = new AudioContextClass();
+          state.masterGain = state.audioContext.createGain();
+          state.masterGain.connect(state.audioContext.destination);
+          sound.applyVolume();
+        }
+        if (state.audioContext.state === 'suspended') {
+          state.audioContext.resume().catch(error => {
+            console.warn('Audio context could not resume:', error);
+          });
+        }
+      } catch (e) {
+        console.error('Audio setup error:', e);
+      }
+    },
+    
+    applyVolume: () => {
+      if (state.masterGain) {
+        state.masterGain.gain.value = state.settings.soundVolume / 100;
+      }
+    },
+    
+    /**
+     * Synthesize a cue with the selected theme
+     * @param {string} cue - Cue name (see SOUND_THEMES)
+     */
+    play: (cue) => {
+      const context = state.audioContext;
+      if (!context || state.settings.soundMuted || state.settings.soundVolume === 0) return;
+      
+      const theme = SOUND_THEMES[state.settings.soundTheme];
+      const notes = theme.cues[cue];
+      if (!notes) return;
+      
+      try {
+        // Mobile browsers suspend the context when the app is in the background
+        if (context.state === 'suspended') {
+          context.resume().catch(() => {});
         }
         
-        if (audioElement) {
-          audioElement.currentTime = 0;
+        const now = context.currentTime;
+        notes.forEach(([frequency, start, duration]) => {
+          const oscillator = context.createOscillator();
+          const envelope = context.createGain();
+          const begin = now + start;
           
-          const playPromise = audioElement.play();
+          oscillator.type = theme.wave;
+          oscillator.frequency.value = frequency;
           
-          if (playPromise !== undefined) {
-            playPromise.catch(error => {
-              console.warn('Audio playback prevented:', error);
-            });
-          }
-        }
+          // Short attack, exponential decay
+          envelope.gain.setValueAtTime(0.0001, begin);
+          envelope.gain.exponentialRampToValueAtTime(theme.gain, begin + 0.01);
+          envelope.gain.exponentialRampToValueAtTime(0.0001, begin + duration);
+          
+          oscillator.connect(envelope);
+          envelope.connect(state.masterGain);
+          oscillator.start(begin);
+          oscillator.stop(begin + duration + 0.05);
+        });
       } catch (e) {
         console.error('Audio play error:', e);
       }
     }
   };
   
+  // PERSISTENCE
+  const storage = {
+    /**
+     * Read a JSON value from local storage
+     * @param {string} key - Storage key
+     * @param {*} fallback - Value returned when missing or unreadable
+     * @return {*} Parsed value or fallback
+     */
+    get: (key, fallback = null) => {
+      try {
+        const raw = localStorage.getItem(key);
+        return raw === null ? fallback : JSON.parse(raw);
+      } catch (e) {
+        console.warn(`Storage read error (${key}):`, e);
+        return fallback;
+      }
+    },
+    
+    /**
+     * Write a JSON value to local storage
+     * @param {string} key - Storage key
+     * @param {*} value - Serializable value
+     * @return {boolean} Whether the write succeeded
+     */
+    set: (key, value) => {
+      try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+      } catch (e) {
+        console.warn(`Storage write error (${key}):`, e);
+        return false;
+      }
+    },
+    
+    /**
+     * Remove a value from local storage
+     * @param {string} key - Storage key
+     */
+    remove: (key) => {
+      try {
+        localStorage.removeItem(key);
+      } catch (e) {
+        console.warn(`Storage remove error (${key}):`, e);
+      }
+    }
+  };
+  
   // Function to update button visibility based on the current page
   function updateButtonVisibility(pageId) {
     // Hide all buttons first
@@ -325,7 +771,7 @@
     startApp: () => {
       utils.showPage('timerSection');
       startTimer();
-      utils.showToast('Timer started. Get focused!');
+      utils.showToast(t('toast.timerStarted'));
     },
     
     openLearnMore: () => {
@@ -333,120 +779,82 @@
     },
     
     pauseTimer: () => {
+      if (!state.workCountdown) return;
+      
       if (state.timerIsPaused) {
         // Resume the timer
         state.timerIsPaused = false;
-        state.elements.pauseTimerButton.textContent = 'Pause';
-        
-        // Start new interval
-        state.timerInterval = setInterval(() => {
-          state.timerRemaining--;
-          updateTimerDisplay();
-          
-          // Update progress bar
-          const percentRemaining = (state.timerRemaining / DEFAULTS.WORK_DURATION) * 100;
-          state.elements.timerProgress.style.width = percentRemaining + "%";
-          
-          // Play a tick sound every minute (or when 1 minute remains)
-          if (state.timerRemaining > 0 && 
-              (state.timerRemaining % 60 === 0 || state.timerRemaining === 60)) {
-            utils.playAudio('timer');
-          }
-          
-          if (state.timerRemaining <= 0) {
-            clearInterval(state.timerInterval);
-            utils.playAudio('complete');
-            utils.triggerHaptic(HAPTIC_PATTERNS.timerComplete);
-            goToExercises();
-          }
-        }, 1000);
-        
-        utils.showToast('Timer resumed');
+        updatePauseButtons();
+        state.workCountdown.resume();
+        saveSession();
+        utils.showToast(t('toast.timerResumed'));
       } else {
         // Pause the timer
-        clearInterval(state.timerInterval);
+        state.workCountdown.pause();
         state.timerIsPaused = true;
-        state.elements.pauseTimerButton.textContent = 'Resume';
-        utils.showToast('Timer paused');
+        updatePauseButtons();
+        saveSession();
+        utils.showToast(t('toast.timerPaused'));
+        applyUpdateWhenIdle();
       }
     },
     
     startTimer: () => {
       // Single purpose - always acts as skip button
-      clearInterval(state.timerInterval);
+      stopCountdown(state.workCountdown);
       goToExercises();
-      utils.showToast('Starting exercises now');
+      utils.showToast(t('toast.startingExercises'));
     },
     
     pauseExercise: () => {
+      if (!state.exerciseCountdown) return;
+      
       if (state.isPaused) {
         // Resume the exercise
         state.isPaused = false;
-        state.elements.pauseExerciseButton.textContent = 'Pause';
-        
-        // Start new interval
-        state.exerciseInterval = setInterval(() => {
-          state.exerciseRemaining--;
-          updateExerciseTimer();
-          
-          // Update progress bar
-          const percentRemaining = (state.exerciseRemaining / DEFAULTS.EXERCISE_DURATION) * 100;
-          state.elements.exerciseProgress.style.width = percentRemaining + "%";
-          
-          if (state.exerciseRemaining <= 0) {
-            clearInterval(state.exerciseInterval);
-            
-            // Play completion sound
-            utils.playAudio('complete');
-            utils.triggerHaptic(HAPTIC_PATTERNS.exerciseComplete);
-            
-            // Mark as done + add to completed
-            const current = state.exerciseSegments[state.currentExerciseIndex];
-            current.status = "done";
-            state.completedExercises.push({
-              name: current.name,
-              side: current.side,
-              description: current.description,
-              tag: "nothing"
-            });
-            
-            // Move to next exercise
-            state.currentExerciseIndex++;
-            startExerciseSegment();
-          }
-        }, 1000);
-        
-        utils.showToast('Exercise resumed');
+        updatePauseButtons();
+        endSegmentPause(state.exerciseSegments[state.currentExerciseIndex]);
+        state.exerciseCountdown.resume();
+        saveSession();
+        utils.showToast(t('toast.exerciseResumed'));
       } else {
         // Pause the exercise
-        clearInterval(state.exerciseInterval);
+        state.exerciseCountdown.pause();
+        stopSpeaking();
+        state.exerciseSegments[state.currentExerciseIndex].pausedAt = Date.now();
         state.isPaused = true;
-        state.elements.pauseExerciseButton.textContent = 'Resume';
-        utils.showToast('Exercise paused');
+        updatePauseButtons();
+        saveSession();
+        utils.showToast(t('toast.exercisePaused'));
+        applyUpdateWhenIdle();
       }
     },
     
     skipExercise: () => {
-      clearInterval(state.exerciseInterval);
+      stopCountdown(state.exerciseCountdown);
       state.isPaused = false;
       
-      const current = state.exerciseSegments[state.currentExerciseIndex];
-      current.status = "done";
-      state.completedExercises.push({
-        name: current.name,
-        side: current.side,
-        description: current.description,
-        tag: "nothing"
-      });
+      // Skipped segments are logged but not listed as completed
+      recordSegmentOutcome(state.exerciseSegments[state.currentExerciseIndex], 'skipped');
       
       state.currentExerciseIndex++;
       startExerciseSegment();
     },
     
     finishAndRestart: () => {
+      // Outside working hours the finish screen leads back to the start
+      if (endSessionIfNoBlockFits()) return;
+      
+      // Between sessions is the moment to install an accepted update
+      if (state.updateAccepted && state.waitingWorker) {
+        sessionStorage.setItem(STORAGE_KEYS.startAfterUpdate, 'true');
+        applyUpdateWhenIdle();
+        return;
+      }
+      
       utils.showPage('timerSection');
       startTimer();
-      utils.showToast('Great job! Starting next work session');
+      utils.showToast(t('toast.nextSession'));
     },
     
     cycleTag: (li) => {
@@ -467,118 +875,677 @@
       li.setAttribute('data-tag', nextTag);
       
       // Update UI
-      const baseText = state.completedExercises[idx].name +
-        (state.completedExercises[idx].side ? ` (${state.completedExercises[idx].side})` : "");
-      
-      li.textContent = (nextTag !== "nothing")
-        ? `${baseText} [${nextTag.toUpperCase()}]`
-        : baseText;
+      li.textContent = completedExerciseLabel(state.completedExercises[idx], nextTag);
         
-      // Update probability in the pool
-      const poolItem = exercisesPool.find(e => e.name === state.completedExercises[idx].name);
+      // Update (and persist) probability in the pool
+      const poolItem = setExercisePreference(state.completedExercises[idx].id, {
+        probability: FREQUENCY_LEVELS[nextTag].probability
+      });
       if (poolItem) {
+        const name = exerciseText(poolItem).name;
         if (nextTag === "more") {
-          poolItem.probability = 2;
-          utils.showToast(`You'll see more of ${poolItem.name}`);
+          utils.showToast(t('toast.frequencyMore', { name }));
         } else if (nextTag === "less") {
-          poolItem.probability = 0.5;
-          utils.showToast(`You'll see less of ${poolItem.name}`);
+          utils.showToast(t('toast.frequencyLess', { name }));
         } else {
-          poolItem.probability = 1;
-          utils.showToast(`Default frequency for ${poolItem.name}`);
+          utils.showToast(t('toast.frequencyDefault', { name }));
         }
       }
       
       // Also update the stored tag
       state.completedExercises[idx].tag = nextTag;
+      recordSessionTag(state.completedExercises[idx].name, nextTag);
     },
     
     showKnowledgeSection: () => {
-      state.elements.knowledgeSection.style.display = 'block';
-      state.elements.knowledgeSection.setAttribute('aria-hidden', 'false');
+      const section = state.elements.knowledgeSection;
+      if (section.style.display === 'block') return;
+      
+      // Remember where focus came from so closing the dialog can return it
+      state.knowledgeOpener = document.activeElement !== document.body ? document.activeElement : null;
+      
+      utils.setOverlayVisible(section, true);
+      utils.setAriaState(state.elements.learnMoreButton, 'aria-expanded', true);
+      
+      const activeTab = [...state.elements.techniqueBtns].find(btn => btn.classList.contains('active'));
+      (activeTab || state.elements.backButton).focus();
     },
     
     hideKnowledgeSection: () => {
-      state.elements.knowledgeSection.style.display = 'none';
-      state.elements.knowledgeSection.setAttribute('aria-hidden', 'true');
+      utils.setOverlayVisible(state.elements.knowledgeSection, false);
+      utils.setAriaState(state.elements.learnMoreButton, 'aria-expanded', false);
+      
+      // Focus goes back to the opener, or Learn More if that's gone or hidden
+      const opener = state.knowledgeOpener;
+      state.knowledgeOpener = null;
+      if (opener && opener.isConnected && opener.offsetParent !== null) {
+        opener.focus();
+      } else if (state.elements.learnMoreButton.offsetParent !== null) {
+        state.elements.learnMoreButton.focus();
+      }
     },
     
-    selectTechniqueInfo: (btn) => {
-      // Remove active class from all buttons
-      state.elements.techniqueBtns.forEach(b => {
-        b.classList.remove('active');
-        b.setAttribute('aria-selected', 'false');
-      });
+    showMyExercises: () => {
+      renderMyExercises();
+      utils.setOverlayVisible(state.elements.myExercisesSection, true);
+    },
+    
+    hideMyExercises: () => {
+      utils.setOverlayVisible(state.elements.myExercisesSection, false);
+    },
+    
+    showStats: () => {
+      renderStats();
+      utils.setOverlayVisible(state.elements.statsSection, true);
+    },
+    
+    hideStats: () => {
+      utils.setOverlayVisible(state.elements.statsSection, false);
+    },
+    
+    showShortcuts: () => {
+      utils.setOverlayVisible(state.elements.shortcutsSection, true);
+    },
+    
+    hideShortcuts: () => {
+      utils.setOverlayVisible(state.elements.shortcutsSection, false);
+    },
+    
+    toggleMute: () => {
+      updateSettings({ soundMuted: !state.settings.soundMuted });
+      renderSettings();
+      utils.showToast(t(state.settings.soundMuted ? 'toast.soundsMuted' : 'toast.soundsOn'));
+    },
+    
+    /**
+     * Global keyboard shortcuts (see SHORTCUTS)
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleShortcut: (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
       
-      // Add active class to clicked button
-      btn.classList.add('active');
-      btn.setAttribute('aria-selected', 'true');
+      // Typing in a form field or acting on a focused control wins
+      const target = e.target;
+      if (target.closest('input, select, textarea, [contenteditable="true"]')) return;
+      const isControl = Boolean(target.closest('button, a, [role="button"]'));
       
-      // Hide all technique info divs
-      document.querySelectorAll('.technique-info').forEach(div => {
-        div.classList.remove('active');
-      });
+      // Dialogs (e.g. the break prompt) handle their own keys
+      if (document.querySelector('.completion-modal')) return;
       
-      // Show the selected technique info
-      const techniqueId = btn.getAttribute('data-technique');
-      const targetInfo = document.getElementById(`${techniqueId}-info`);
-      if (targetInfo) {
-        targetInfo.classList.add('active');
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      const openOverlay = [...document.querySelectorAll('.overlay-section')]
+        .find(element => element.style.display === 'block');
+      const page = state.currentPage;
+      let action = null;
+      
+      if (key === '?') {
+        action = handlers.showShortcuts;
+      } else if (['1', '2', '3'].includes(key)) {
+        const btn = state.elements.techniqueBtns[parseInt(key, 10) - 1];
+        if (btn) {
+          action = () => {
+            handlers.showKnowledgeSection();
+            handlers.selectTechniqueInfo(btn);
+            btn.focus();
+          };
+        }
+      } else if (key === 'm') {
+        action = handlers.toggleMute;
+      } else if (openOverlay) {
+        // Page shortcuts don't reach through an open panel
+        return;
+      } else if (key === ' ' && !isControl) {
+        if (page === 'timerSection') action = handlers.pauseTimer;
+        if (page === 'exerciseSection') action = handlers.pauseExercise;
+      } else if (key === 'n' || key === 'ArrowRight') {
+        if (page === 'timerSection') action = handlers.startTimer;
+        if (page === 'exerciseSection') action = handlers.skipExercise;
+      } else if (key === 's') {
+        if (page === 'landingPage') action = handlers.startApp;
+        if (page === 'finishSection') action = handlers.finishAndRestart;
+      }
+      
+      if (action) {
+        e.preventDefault();
+        action();
       }
     },
     
-    handleVisibilityChange: () => {
-      state.isVisible = document.visibilityState !== 'hidden';
-      
-      // When becoming visible again, ensure timers are accurate
-      if (state.isVisible) {
-        // Could implement more sophisticated time tracking here
+    testVoice: () => {
+      if (!state.settings.voiceEnabled) {
+        utils.showToast(t('toast.voiceOff'));
+        return;
       }
+      speak(t('voice.sample'), true);
     },
     
-    handleUserInteraction: () => {
-      if (!state.hasInteracted) {
-        state.hasInteracted = true;
-        
-        // Try to play all audio elements to satisfy user gesture requirement
-        const audioElements = [
-          state.elements.audioTimer,
-          state.elements.audioComplete,
-          state.elements.audioTransition
-        ];
-        
-        audioElements.forEach(audio => {
-          if (audio) {
-            const promise = audio.play();
-            if (promise !== undefined) {
-              promise.then(() => {
-                audio.pause();
-                audio.currentTime = 0;
-              }).catch(e => {
-                // Still not allowed, will try again later
-                console.log('Audio play blocked by browser policy:', e);
-              });
-            }
-          }
-        });
+    changeFeedback: (input) => {
+      const name = input.getAttribute('data-event');
+      const channel = input.getAttribute('data-channel');
+      if (!name || !channel) return;
+      
+      const value = input.type === 'checkbox' ? input.checked : input.value;
+      updateSettings({
+        feedback: {
+          ...state.settings.feedback,
+          [name]: { ...state.settings.feedback[name], [channel]: value }
+        }
+      });
+      
+      // Update in place rather than re-rendering, so keyboard focus stays put
+      if (channel === 'vibration') {
+        const pattern = input.closest('.feedback-event').querySelector('select');
+        pattern.disabled = !value;
       }
-    }
-  };
-  
-  // CORE FUNCTIONS
-  function cacheElements() {
-    // Cache DOM elements for performance
-    state.elements = {
-      appContainer: document.getElementById('appContainer'),
-      loadingContainer: document.getElementById('loadingContainer'),
-      loadingBar: document.getElementById('loadingBar'),
       
-      // Pages
-      landingPage: document.getElementById('landingPage'),
-      timerSection: document.getElementById('timerSection'),
-      exerciseSection: document.getElementById('exerciseSection'),
+      // Let the user feel the pattern they just picked
+      if (channel === 'pattern') {
+        giveFeedback(name);
+      }
+    },
+    
+    testFeedback: (e) => {
+      const button = e.target.closest('[data-test-event]');
+      if (!button) return;
+      
+      sound.unlock();
+      giveFeedback(button.getAttribute('data-test-event'));
+    },
+    
+    showSettings: () => {
+      renderSettings();
+      utils.setOverlayVisible(state.elements.settingsSection, true);
+    },
+    
+    hideSettings: () => {
+      utils.setOverlayVisible(state.elements.settingsSection, false);
+    },
+    
+    changeSetting: (input) => {
+      const key = input.getAttribute('data-setting');
+      
+      if (input.hasAttribute('data-day')) {
+        const day = parseInt(input.getAttribute('data-day'), 10);
+        const days = state.settings[key].filter(value => value !== day);
+        updateSettings({ [key]: input.checked ? [...days, day] : days });
+        renderSettings();
+        utils.showToast(settingsChangeMessage());
+        return;
+      }
+      
+      if (input.type === 'time' || input.tagName === 'SELECT') {
+        const changes = { [key]: input.value };
+        // Voices belong to a language, so a new language drops the chosen voice
+        if (key === 'voiceLang') changes.voiceName = '';
+        updateSettings(changes);
+        if (key === 'language') {
+          applyLanguage().then(() => utils.showToast(settingsChangeMessage()));
+          return;
+        }
+        renderSettings();
+        utils.showToast(settingsChangeMessage());
+        return;
+      }
+      
+      if (input.type === 'checkbox') {
+        if (key === 'notificationsEnabled' && input.checked) {
+          handlers.enableNotifications();
+          return;
+        }
+        updateSettings({ [key]: input.checked });
+        renderSettings();
+        utils.showToast(settingsChangeMessage());
+        return;
+      }
+      
+      const unit = parseInt(input.getAttribute('data-unit'), 10) || 1;
+      const value = parseFloat(input.value);
+      
+      if (isNaN(value)) {
+        renderSettings();
+        return;
+      }
+      
+      updateSettings({ [key]: Math.round(value * unit) });
+      
+      // Typing the value counts as the user gesture the permission prompt needs
+      if (key === 'awayThreshold' && state.settings.awayThreshold > 0) {
+        startAwayDetection(true);
+      }
+      renderSettings();
+      utils.showToast(settingsChangeMessage());
+    },
+    
+    enableNotifications: () => {
+      if (!('Notification' in window) || !('serviceWorker' in navigator)) {
+        utils.showToast(t('toast.notificationsUnsupported'));
+        renderSettings();
+        return;
+      }
+      
+      Notification.requestPermission().then(permission => {
+        const isGranted = permission === 'granted';
+        updateSettings({ notificationsEnabled: isGranted });
+        renderSettings();
+        utils.showToast(t(isGranted ? 'toast.notificationsOn' : 'toast.notificationsBlocked'));
+      });
+    },
+    
+    handleWorkerMessage: (event) => {
+      const data = event.data || {};
+      if (data.type !== 'NOTIFICATION_ACTION') return;
+      runNotificationAction(data.action);
+    },
+    
+    applyPreset: (preset) => {
+      updateSettings({
+        workDuration: preset.workDuration,
+        exerciseDuration: preset.exerciseDuration,
+        maxExercises: preset.maxExercises
+      });
+      renderSettings();
+      utils.showToast(t('toast.presetSelected', { preset: preset.label, saved: settingsChangeMessage() }));
+    },
+    
+    exportJson: () => {
+      const date = dayKey(Date.now());
+      utils.downloadFile(`active-journey-${date}.json`, JSON.stringify(createExport(), null, 2), 'application/json');
+      utils.showToast(t('toast.dataExported'));
+    },
+    
+    exportCsv: () => {
+      const date = dayKey(Date.now());
+      utils.downloadFile(`active-journey-sessions-${date}.csv`, createSessionsCsv(getHistory()), 'text/csv');
+      utils.showToast(t('toast.sessionsExported'));
+    },
+    
+    chooseImportFile: () => {
+      state.elements.importFileInput.value = '';
+      state.elements.importFileInput.click();
+    },
+    
+    importFile: () => {
+      const file = state.elements.importFileInput.files[0];
+      if (!file) return;
+      
+      file.text()
+        .then(text => {
+          let data;
+          try {
+            data = JSON.parse(text);
+          } catch (e) {
+            throw new Error(t('import.invalidJson'));
+          }
+          
+          const errors = validateImport(data);
+          if (errors.length > 0) {
+            throw new Error(errors.slice(0, 5).join(' '));
+          }
+          
+          utils.showModal({
+            title: t('import.title'),
+            message: t('import.message', { count: data.history.length }),
+            actions: [
+              { label: t('import.merge'), onSelect: () => applyImport(data, 'merge') },
+              { label: t('import.replace'), onSelect: () => applyImport(data, 'replace') },
+              { label: t('common.cancel') }
+            ]
+          });
+        })
+        .catch(error => {
+          console.warn('Import failed:', error);
+          utils.showModal({
+            title: t('import.failed'),
+            message: error.message,
+            actions: [{ label: t('common.ok') }]
+          });
+        });
+    },
+    
+    showCustomEditor: () => {
+      renderCustomEditor();
+      utils.setOverlayVisible(state.elements.customSection, true);
+    },
+    
+    hideCustomEditor: () => {
+      utils.setOverlayVisible(state.elements.customSection, false);
+      renderMyExercises();
+    },
+    
+    editCustomExercise: (id = null) => {
+      const exercise = exercisesPool.find(e => e.id === id && e.custom);
+      const form = state.elements.customExerciseForm;
+      
+      form.reset();
+      form.setAttribute('data-id', exercise ? exercise.id : '');
+      state.elements.customNameInput.value = exercise ? exercise.name : '';
+      state.elements.customDescriptionInput.value = exercise ? exercise.description : '';
+      state.elements.customDurationInput.value = exercise && exercise.duration ? exercise.duration : '';
+      state.elements.customDurationInput.placeholder = state.settings.exerciseDuration;
+      state.elements.customUnilateralInput.checked = Boolean(exercise && exercise.unilateral);
+      state.pendingCustomImage = exercise ? exercise.media : null;
+      updateCustomImagePreview();
+      
+      form.hidden = false;
+      state.elements.customNameInput.focus();
+    },
+    
+    pickCustomImage: () => {
+      const file = state.elements.customImageInput.files[0];
+      if (!file) return;
+      
+      readImageFile(file, CUSTOM_EXERCISES.IMAGE_MAX_SIZE)
+        .then(dataUrl => {
+          state.pendingCustomImage = dataUrl;
+          updateCustomImagePreview();
+        })
+        .catch(error => {
+          console.warn('Image loading error:', error);
+          utils.showToast(t('toast.imageUnusable'));
+        });
+    },
+    
+    saveCustomExercise: (e) => {
+      e.preventDefault();
+      const form = state.elements.customExerciseForm;
+      const duration = parseInt(state.elements.customDurationInput.value, 10);
+      
+      const saved = saveCustomExercise({
+        id: form.getAttribute('data-id') || `custom-${Date.now().toString(36)}`,
+        name: state.elements.customNameInput.value.trim(),
+        description: state.elements.customDescriptionInput.value.trim(),
+        unilateral: state.elements.customUnilateralInput.checked,
+        duration: duration > 0 ? sanitizeSetting('exerciseDuration', duration) : undefined,
+        media: state.pendingCustomImage || CUSTOM_EXERCISES.DEFAULT_MEDIA
+      });
+      
+      if (!saved) {
+        utils.showToast(t('toast.customExerciseIncomplete'));
+        return;
+      }
+      
+      form.hidden = true;
+      state.pendingCustomImage = null;
+      renderCustomEditor();
+      utils.showToast(t('toast.saved', { name: saved.name }));
+    },
+    
+    cancelCustomExercise: () => {
+      state.elements.customExerciseForm.hidden = true;
+      state.pendingCustomImage = null;
+    },
+    
+    deleteCustomExercise: (id) => {
+      const exercise = exercisesPool.find(e => e.id === id && e.custom);
+      if (!exercise) return;
+      
+      utils.showModal({
+        title: t('editor.deleteExerciseTitle'),
+        message: t('editor.deleteExerciseMessage', { name: exercise.name }),
+        actions: [
+          {
+            label: t('common.delete'),
+            onSelect: () => {
+              deleteCustomExercise(id);
+              renderCustomEditor();
+              utils.showToast(t('toast.deleted', { name: exercise.name }));
+            }
+          },
+          { label: t('common.cancel') }
+        ]
+      });
+    },
+    
+    editRoutine: (id = null) => {
+      const routine = getRoutines().find(r => r.id === id);
+      const form = state.elements.routineForm;
+      
+      form.reset();
+      form.setAttribute('data-id', routine ? routine.id : '');
+      state.elements.routineNameInput.value = routine ? routine.name : '';
+      renderRoutineOptions(routine ? routine.exerciseIds : []);
+      
+      form.hidden = false;
+      state.elements.routineNameInput.focus();
+    },
+    
+    saveRoutine: (e) => {
+      e.preventDefault();
+      const form = state.elements.routineForm;
+      const exerciseIds = [...state.elements.routineExerciseOptions.querySelectorAll('input:checked')]
+        .map(input => input.value);
+      const name = state.elements.routineNameInput.value.trim();
+      
+      if (!name || exerciseIds.length === 0) {
+        utils.showToast(t('toast.routineIncomplete'));
+        return;
+      }
+      
+      saveRoutine({
+        id: form.getAttribute('data-id') || `routine-${Date.now().toString(36)}`,
+        name,
+        exerciseIds
+      });
+      
+      form.hidden = true;
+      renderCustomEditor();
+      utils.showToast(t('toast.saved', { name }));
+    },
+    
+    cancelRoutine: () => {
+      state.elements.routineForm.hidden = true;
+    },
+    
+    deleteRoutine: (id) => {
+      const routine = getRoutines().find(r => r.id === id);
+      if (!routine) return;
+      
+      utils.showModal({
+        title: t('editor.deleteRoutineTitle'),
+        message: t('editor.deleteRoutineMessage', { name: routine.name }),
+        actions: [
+          {
+            label: t('common.delete'),
+            onSelect: () => {
+              deleteRoutine(id);
+              renderCustomEditor();
+              utils.showToast(t('toast.deleted', { name: routine.name }));
+            }
+          },
+          { label: t('common.cancel') }
+        ]
+      });
+    },
+    
+    useRoutine: (id) => {
+      updateSettings({ activeRoutineId: id });
+      renderCustomEditor();
+      const routine = getRoutines().find(r => r.id === id);
+      utils.showToast(routine
+        ? t('toast.routineInUse', { name: routine.name })
+        : t('toast.randomInUse'));
+    },
+    
+    cycleFrequency: (id) => {
+      const poolItem = exercisesPool.find(e => e.id === id);
+      if (!poolItem) return;
+      
+      // Cycle through: Less -> Normal -> More -> Less
+      const order = ['less', 'nothing', 'more'];
+      const nextTag = order[(order.indexOf(getFrequencyTag(poolItem)) + 1) % order.length];
+      setExercisePreference(id, { probability: FREQUENCY_LEVELS[nextTag].probability });
+      renderMyExercises();
+    },
+    
+    toggleExcluded: (id) => {
+      const poolItem = exercisesPool.find(e => e.id === id);
+      if (!poolItem) return;
+      
+      if (!poolItem.excluded && exercisesPool.filter(e => !e.excluded).length <= 1) {
+        utils.showToast(t('toast.keepOneExercise'));
+        return;
+      }
+      
+      setExercisePreference(id, { excluded: !poolItem.excluded });
+      const name = exerciseText(poolItem).name;
+      utils.showToast(t(poolItem.excluded ? 'toast.excluded' : 'toast.included', { name }));
+      renderMyExercises();
+    },
+    
+    selectTechniqueInfo: (btn) => {
+      // Remove active class from all buttons
+      state.elements.techniqueBtns.forEach(b => {
+        b.classList.remove('active');
+        b.setAttribute('aria-selected', 'false');
+        b.setAttribute('tabindex', '-1');
+      });
+      
+      // Add active class to clicked button (the only tab in the Tab order)
+      btn.classList.add('active');
+      btn.setAttribute('aria-selected', 'true');
+      btn.setAttribute('tabindex', '0');
+      
+      // Hide all technique info divs
+      document.querySelectorAll('.technique-info').forEach(div => {
+        div.classList.remove('active');
+      });
+      
+      // Show the selected technique info
+      const techniqueId = btn.getAttribute('data-technique');
+      const targetInfo = document.getElementById(`${techniqueId}-info`);
+      if (targetInfo) {
+        targetInfo.classList.add('active');
+      }
+    },
+    
+    /**
+     * Arrow keys, Home and End move between the knowledge tabs
+     * @param {KeyboardEvent} e - Keydown event on a tab
+     */
+    navigateTabs: (e) => {
+      const tabs = [...state.elements.techniqueBtns];
+      const index = tabs.indexOf(e.target);
+      if (index === -1) return;
+      
+      const targets = {
+        ArrowLeft: (index - 1 + tabs.length) % tabs.length,
+        ArrowRight: (index + 1) % tabs.length,
+        Home: 0,
+        End: tabs.length - 1
+      };
+      if (!(e.key in targets)) return;
+      
+      // Keep the global shortcuts (e.g. → to skip) out of it
+      e.preventDefault();
+      e.stopPropagation();
+      
+      const tab = tabs[targets[e.key]];
+      handlers.selectTechniqueInfo(tab);
+      tab.focus();
+    },
+    
+    handleVisibilityChange: () => {
+      state.isVisible = document.visibilityState !== 'hidden';
+      
+      // When becoming visible again, catch the countdowns up with the wall clock
+      // (background tabs throttle intervals, so ticks may have been delayed)
+      if (state.isVisible) {
+        if (state.workCountdown) state.workCountdown.sync();
+        if (state.exerciseCountdown) state.exerciseCountdown.sync();
+        
+        // A long absence may replace the break, so check it first
+        handlers.noteActivity();
+        
+        // The app is in view, so a scheduled notification isn't needed
+        closeBreakNotification();
+        
+        // Back in the app while a break is waiting
+        showBreakPrompt();
+        checkSchedule();
+        
+        // Hiding the page dropped the wake lock
+        updateWakeLock();
+      } else {
+        // The app may be killed while hidden, so snapshot now and let the
+        // system announce the break where it can
+        saveSession();
+        scheduleBreakNotification();
+        state.lastSeenAt = Date.now();
+      }
+    },
+    
+    /**
+     * Fallback away detection: input or the app becoming visible again
+     * ends an absence that started at the last sign of the user
+     */
+    noteActivity: () => {
+      if (state.idleDetector) return;
+      
+      if (document.visibilityState !== 'hidden') {
+        checkAway(state.lastSeenAt);
+        state.lastSeenAt = Date.now();
+      }
+    },
+    
+    handleIdleChange: () => {
+      const { userState, screenState } = state.idleDetector;
+      const isAway = userState === 'idle' || screenState === 'locked';
+      
+      if (isAway && !state.awaySince) {
+        // "idle" is reported one threshold after the last input
+        state.awaySince = Date.now() - (userState === 'idle' ? AWAY_DETECTION.IDLE_THRESHOLD : 0);
+      } else if (!isAway && state.awaySince) {
+        checkAway(state.awaySince);
+        state.awaySince = null;
+      }
+    },
+    
+    handleImageError: () => {
+      const image = state.elements.exerciseImage;
+      if (!image.getAttribute('src') || image.getAttribute('src') === PLACEHOLDER_IMAGE) return;
+      image.src = PLACEHOLDER_IMAGE;
+    },
+    
+    handleUserInteraction: () => {
+      if (!state.hasInteracted) {
+        state.hasInteracted = true;
+        sound.unlock();
+      }
+    },
+    
+    previewSound: () => {
+      sound.unlock();
+      sound.play('complete');
+    }
+  };
+  
+  // CORE FUNCTIONS
+  function cacheElements() {
+    // Cache DOM elements for performance
+    state.elements = {
+      appContainer: document.getElementById('appContainer'),
+      loadingContainer: document.getElementById('loadingContainer'),
+      loadingBar: document.getElementById('loadingBar'),
+      
+      // Pages
+      landingPage: document.getElementById('landingPage'),
+      timerSection: document.getElementById('timerSection'),
+      exerciseSection: document.getElementById('exerciseSection'),
       finishSection: document.getElementById('finishSection'),
       knowledgeSection: document.getElementById('knowledgeSection'),
+      myExercisesSection: document.getElementById('myExercisesSection'),
+      settingsSection: document.getElementById('settingsSection'),
+      statsSection: document.getElementById('statsSection'),
+      liveAnnouncer: document.getElementById('liveAnnouncer'),
+      voiceSettings: document.getElementById('voiceSettings'),
+      wakeLockSettings: document.getElementById('wakeLockSettings'),
+      voiceLangInput: document.getElementById('voiceLangInput'),
+      voiceNameInput: document.getElementById('voiceNameInput'),
+      testVoiceButton: document.getElementById('testVoiceButton'),
+      shortcutsSection: document.getElementById('shortcutsSection'),
+      shortcutsList: document.getElementById('shortcutsList'),
+      shortcutsBackButton: document.getElementById('shortcutsBackButton'),
+      customSection: document.getElementById('customSection'),
       
       // Buttons
       startButton: document.getElementById('startButton'),
@@ -589,6 +1556,18 @@
       skipExerciseButton: document.getElementById('skipExerciseButton'),
       restartButton: document.getElementById('restartButton'),
       backButton: document.getElementById('backButton'),
+      myExercisesButton: document.getElementById('myExercisesButton'),
+      myExercisesBackButton: document.getElementById('myExercisesBackButton'),
+      customEditorButton: document.getElementById('customEditorButton'),
+      customBackButton: document.getElementById('customBackButton'),
+      addCustomExerciseButton: document.getElementById('addCustomExerciseButton'),
+      cancelCustomExerciseButton: document.getElementById('cancelCustomExerciseButton'),
+      addRoutineButton: document.getElementById('addRoutineButton'),
+      cancelRoutineButton: document.getElementById('cancelRoutineButton'),
+      statsButton: document.getElementById('statsButton'),
+      statsBackButton: document.getElementById('statsBackButton'),
+      settingsButton: document.getElementById('settingsButton'),
+      settingsBackButton: document.getElementById('settingsBackButton'),
       
       // Timer elements
       timerProgressContainer: document.getElementById('timerProgressContainer'),
@@ -599,20 +1578,55 @@
       exerciseImage: document.getElementById('exerciseImage'),
       exerciseTitle: document.getElementById('exerciseTitle'),
       exerciseSubtitle: document.getElementById('exerciseSubtitle'),
+      exercisePhaseLabel: document.getElementById('exercisePhaseLabel'),
       exerciseProgressContainer: document.getElementById('exerciseProgressContainer'),
       exerciseProgress: document.getElementById('exerciseProgress'),
       exerciseRemaining: document.getElementById('exerciseRemaining'),
       
       // Finish elements
       doneList: document.getElementById('doneList'),
+      finishTitle: document.getElementById('finishTitle'),
+      finishMessage: document.getElementById('finishMessage'),
+      
+      // Landing
+      landingIntro: document.getElementById('landingIntro'),
+      
+      // Custom exercises & routines
+      customExerciseList: document.getElementById('customExerciseList'),
+      customExerciseForm: document.getElementById('customExerciseForm'),
+      customNameInput: document.getElementById('customNameInput'),
+      customDescriptionInput: document.getElementById('customDescriptionInput'),
+      customDurationInput: document.getElementById('customDurationInput'),
+      customUnilateralInput: document.getElementById('customUnilateralInput'),
+      customImageInput: document.getElementById('customImageInput'),
+      customImagePreview: document.getElementById('customImagePreview'),
+      routineList: document.getElementById('routineList'),
+      routineForm: document.getElementById('routineForm'),
+      routineNameInput: document.getElementById('routineNameInput'),
+      routineExerciseOptions: document.getElementById('routineExerciseOptions'),
+      
+      // Stats
+      statsSummary: document.getElementById('statsSummary'),
+      statsWeek: document.getElementById('statsWeek'),
+      
+      // Settings
+      presetList: document.getElementById('presetList'),
+      settingInputs: document.querySelectorAll('#settingsSection [data-setting]'),
+      exportJsonButton: document.getElementById('exportJsonButton'),
+      exportCsvButton: document.getElementById('exportCsvButton'),
+      importButton: document.getElementById('importButton'),
+      importFileInput: document.getElementById('importFileInput'),
+      
+      // My exercises
+      myExercisesList: document.getElementById('myExercisesList'),
       
       // Learn more
       techniqueBtns: document.querySelectorAll('.technique-btn'),
       
-      // Audio
-      audioTimer: document.getElementById('audioTimer'),
-      audioComplete: document.getElementById('audioComplete'),
-      audioTransition: document.getElementById('audioTransition'),
+      // Sound
+      previewSoundButton: document.getElementById('previewSoundButton'),
+      feedbackSettings: document.getElementById('feedbackSettings'),
+      flashOverlay: document.getElementById('flashOverlay'),
       
       // Notifications
       toastContainer: document.getElementById('toastContainer')
@@ -622,96 +1636,20 @@
     checkAllResourcesLoaded();
   }
   
-  function initializeAudio() {
-    // Set audio sources
-    const audioElements = [
-      { element: state.elements.audioTimer, src: AUDIO_SOURCES.timer },
-      { element: state.elements.audioComplete, src: AUDIO_SOURCES.complete },
-      { element: state.elements.audioTransition, src: AUDIO_SOURCES.transition }
-    ];
-    
-    // Calculate total loading steps
-    const totalSteps = audioElements.length;
-    let completedSteps = 0;
-    
-    // Update loading progress
-    function updateLoadingProgress() {
-      if (state.elements.loadingBar) {
-        const progress = (completedSteps / totalSteps) * 100;
-        state.elements.loadingBar.style.width = `${progress}%`;
-      }
-    }
-    
-    // Create a promise for each audio element
-    const audioPromises = audioElements.map(({element, src}) => {
-      return new Promise((resolve) => {
-        if (!element) {
-          completedSteps++;
-          updateLoadingProgress();
-          resolve();
-          return;
-        }
-        
-        // For debugging/development, use default audio if source doesn't exist
-        element.src = src || 'data:audio/mp3;base64,SUQzBAAAAAAAI1RTU0UAAAAPAAADTGF2ZjU4Ljc2LjEwMAAAAAAAAAAAAAAA//tQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAASW5mbwAAAA8AAAASAAAeMwAUFBQUFBQUFBQUFBQ+Pj4+Pj4+Pj4+Pj5SUlJSUlJSUlJSUlJSmZmZmZmZmZmZmZmZmc3Nzc3Nzc3Nzc3Nzc3N/////////////wAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/7UGQAAADsAEhaKAAAAAgAILQAAAD0gnQlpRgAgAAA/QAAABEvU88tuVIEJlC5hglOmQIECBAgQZREZ/fn/nDweDi'+
-          'eDmELkAgMWFjAhYIOh4Ph4Pf+fP/5w8Hw+GQ8Z/MEGCxYsMGFgUK0uHP/+cPB4Oh8Mh65QQGLCxgwsCBeHg9/5w//nDwfD4ZDxneUEBiwsYMLAg14eD3/nD/+cPB8PhkPGd5QQGLCxgwsCDXh4Pf+cP/5w8Hw+GQ8Z3lBAYsLGDCwINeHg9/5w//nDwfD4ZDxneUEBiwsYMLAg14eD3/nD/+cPB8PhkPGd5A==';
-        
-        // Handle successful loading
-        element.addEventListener('canplaythrough', () => {
-          completedSteps++;
-          updateLoadingProgress();
-          resolve();
-        }, { once: true });
-        
-        // Handle errors but continue
-        element.addEventListener('error', (e) => {
-          console.warn(`Failed to load audio: ${src}`, e);
-          completedSteps++;
-          updateLoadingProgress();
-          resolve(); // Resolve anyway to not block the app
-        });
-        
-        // Handle timeout - don't wait forever
-        setTimeout(() => {
-          if (element.readyState < 4) {
-            console.warn(`Audio load timeout: ${src}`);
-            completedSteps++;
-            updateLoadingProgress();
-            resolve();
-          }
-        }, 5000);
-      });
-    });
-    
-    // Wait for all audio to load or timeout
-    Promise.all(audioPromises)
-      .then(() => {
-        state.isAudioReady = true;
-        state.loadedResources.audio = true;
-        checkAllResourcesLoaded();
-      })
-      .catch(error => {
-        console.error("Audio loading error:", error);
-        // Continue anyway with potentially limited audio
-        state.isAudioReady = false;
-        state.loadedResources.audio = true; // Mark as "complete" even if failed
-        checkAllResourcesLoaded();
-      });
-  }
-  
   function preloadImages() {
-    // Preload exercise images
-    const images = exercisesPool.map(exercise => exercise.image);
+    // Preload exercise images listed in the catalog
+    const images = exercisesPool.map(exercise => exercise.media);
     const uniqueImages = [...new Set(images)]; // Remove duplicates
     
+    // Ask the service worker to store them for offline use as well
+    warmMediaCache(uniqueImages);
+    
     const totalImages = uniqueImages.length;
     let loadedImages = 0;
     
     function updateLoadingProgress() {
       if (state.elements.loadingBar) {
-        // Combine with audio progress (assume 50% for images, 50% for audio)
-        const progress = ((loadedImages / totalImages) * 50) + 
-                       (state.loadedResources.audio ? 50 : 0);
+        const progress = (loadedImages / totalImages) * 100;
         state.elements.loadingBar.style.width = `${progress}%`;
       }
     }
@@ -766,10 +1704,28 @@
       });
   }
   
+  /**
+   * Send media URLs to the service worker's runtime media cache
+   * @param {Array} urls - Media URLs
+   */
+  function warmMediaCache(urls) {
+    if (!('serviceWorker' in navigator)) return;
+    
+    const remoteUrls = urls.filter(url => url && !url.startsWith('data:'));
+    navigator.serviceWorker.ready
+      .then(registration => {
+        if (registration.active) {
+          registration.active.postMessage({ type: 'CACHE_MEDIA', urls: remoteUrls });
+        }
+      })
+      .catch(error => {
+        console.warn('Media cache warm-up failed:', error);
+      });
+  }
+  
   function checkAllResourcesLoaded() {
     // Check if all resources are loaded
     if (state.loadedResources.dom && 
-        state.loadedResources.audio && 
         state.loadedResources.images) {
       // Small delay to ensure UI is ready
       setTimeout(() => {
@@ -777,7 +1733,7 @@
         state.elements.loadingContainer.style.opacity = '0';
         setTimeout(() => {
           state.elements.loadingContainer.style.display = 'none';
-        }, 500);
+        }, utils.transitionTime(500)); // Match the fade-out
         
         // Show app content with fade in
         state.elements.appContainer.style.opacity = '1';
@@ -792,6 +1748,12 @@
     // First interaction for audio playback
     document.addEventListener('click', handlers.handleUserInteraction, { once: true });
     document.addEventListener('touchstart', handlers.handleUserInteraction, { once: true });
+    document.addEventListener('keydown', handlers.handleUserInteraction, { once: true });
+    
+    // Signs of the user being at the desk (away detection fallback)
+    AWAY_DETECTION.ACTIVITY_EVENTS.forEach(type => {
+      document.addEventListener(type, handlers.noteActivity, { passive: true });
+    });
     
     // Main navigation buttons
     state.elements.startButton.addEventListener('click', handlers.startApp);
@@ -805,65 +1767,422 @@
     // Back button in knowledge section
     state.elements.backButton.addEventListener('click', handlers.hideKnowledgeSection);
     
+    // My exercises
+    state.elements.myExercisesButton.addEventListener('click', handlers.showMyExercises);
+    state.elements.myExercisesBackButton.addEventListener('click', handlers.hideMyExercises);
+    
+    // Custom exercises & routines
+    state.elements.customEditorButton.addEventListener('click', handlers.showCustomEditor);
+    state.elements.customBackButton.addEventListener('click', handlers.hideCustomEditor);
+    state.elements.addCustomExerciseButton.addEventListener('click', () => handlers.editCustomExercise());
+    state.elements.customImageInput.addEventListener('change', handlers.pickCustomImage);
+    state.elements.customExerciseForm.addEventListener('submit', handlers.saveCustomExercise);
+    state.elements.cancelCustomExerciseButton.addEventListener('click', handlers.cancelCustomExercise);
+    state.elements.addRoutineButton.addEventListener('click', () => handlers.editRoutine());
+    state.elements.routineForm.addEventListener('submit', handlers.saveRoutine);
+    state.elements.cancelRoutineButton.addEventListener('click', handlers.cancelRoutine);
+    
+    // Stats
+    state.elements.statsButton.addEventListener('click', handlers.showStats);
+    state.elements.statsBackButton.addEventListener('click', handlers.hideStats);
+    
+    // Settings
+    state.elements.settingsButton.addEventListener('click', handlers.showSettings);
+    state.elements.settingsBackButton.addEventListener('click', handlers.hideSettings);
+    state.elements.settingInputs.forEach(input => {
+      input.addEventListener('change', () => handlers.changeSetting(input));
+    });
+    state.elements.previewSoundButton.addEventListener('click', handlers.previewSound);
+    state.elements.feedbackSettings.addEventListener('change', (e) => handlers.changeFeedback(e.target));
+    state.elements.feedbackSettings.addEventListener('click', handlers.testFeedback);
+    state.elements.testVoiceButton.addEventListener('click', handlers.testVoice);
+    if (isSpeechSupported()) {
+      // Voices load asynchronously in most browsers
+      speechSynthesis.addEventListener('voiceschanged', renderSettings);
+    }
+    state.elements.exportJsonButton.addEventListener('click', handlers.exportJson);
+    state.elements.exportCsvButton.addEventListener('click', handlers.exportCsv);
+    state.elements.importButton.addEventListener('click', handlers.chooseImportFile);
+    state.elements.importFileInput.addEventListener('change', handlers.importFile);
+    
     // Knowledge Section Navigation
     state.elements.techniqueBtns.forEach(btn => {
       btn.addEventListener('click', () => handlers.selectTechniqueInfo(btn));
+      btn.addEventListener('keydown', handlers.navigateTabs);
+    });
+    
+    // Learn More is a modal dialog: keep keyboard focus inside it
+    state.elements.knowledgeSection.addEventListener('keydown', (e) => {
+      utils.trapFocus(e, state.elements.knowledgeSection);
     });
     
+    // Fall back to the placeholder illustration for broken exercise images
+    state.elements.exerciseImage.addEventListener('error', handlers.handleImageError);
+    
     // Tab visibility changes
     document.addEventListener('visibilitychange', handlers.handleVisibilityChange);
     
-    // Escape key closes panels
+    // Snapshot the session when the page is being unloaded or frozen
+    window.addEventListener('pagehide', saveSession);
+    
+    // Escape key closes the top-most open panel
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
-        if (state.elements.knowledgeSection.style.display === 'block') {
-          handlers.hideKnowledgeSection();
+        const panels = [
+          [state.elements.shortcutsSection, handlers.hideShortcuts],
+          [state.elements.customSection, handlers.hideCustomEditor],
+          [state.elements.myExercisesSection, handlers.hideMyExercises],
+          [state.elements.statsSection, handlers.hideStats],
+          [state.elements.settingsSection, handlers.hideSettings],
+          [state.elements.knowledgeSection, handlers.hideKnowledgeSection]
+        ];
+        const openPanel = panels.find(([element]) => element.style.display === 'block');
+        if (openPanel) {
+          openPanel[1]();
         }
       }
     });
+    
+    // Keyboard shortcuts
+    document.addEventListener('keydown', handlers.handleShortcut);
+    state.elements.shortcutsBackButton.addEventListener('click', handlers.hideShortcuts);
   }
   
-  // TIMER FUNCTIONS
-  function startTimer() {
-    // Reset timer state
-    state.timerRemaining = DEFAULTS.WORK_DURATION;
-    updateTimerDisplay();
-    
-    // Reset and show progress bar
-    const progressBar = state.elements.timerProgress;
-    progressBar.style.width = "100%";
+  // COUNTDOWN ENGINE
+  /**
+   * Create a countdown driven by a wall-clock end timestamp instead of by
+   * counting interval ticks. Throttled background tabs therefore never drift:
+   * whenever the countdown is synced it jumps straight to the correct value.
+   * @param {Object} options - Countdown options
+   * @param {number} options.duration - Total duration in seconds
+   * @param {number} [options.remaining] - Seconds left when starting (defaults to duration)
+   * @param {Function} options.onTick - Called with (remainingSeconds, countdown) when the whole-second value changes
+   * @param {Function} options.onComplete - Called with (countdown) once the countdown reaches zero
+   * @return {Object} Countdown controller
+   */
+  function createCountdown({ duration, remaining = duration, onTick, onComplete }) {
+    let remainingMs = Math.max(0, remaining * 1000);
+    let endTime = null;
+    let intervalId = null;
+    let lastSeconds = Math.ceil(remainingMs / 1000);
+    let finished = false;
     
-    // Clear any existing interval
-    clearInterval(state.timerInterval);
-    
-    // Reset pause state
-    state.timerIsPaused = false;
-    if (state.elements.pauseTimerButton) {
-      state.elements.pauseTimerButton.textContent = 'Pause';
+    function clearTicker() {
+      clearInterval(intervalId);
+      intervalId = null;
     }
     
-    // Start new interval
-    state.timerInterval = setInterval(() => {
-      state.timerRemaining--;
-      updateTimerDisplay();
+    const countdown = {
+      duration,
       
-      // Update progress bar
-      const percentRemaining = (state.timerRemaining / DEFAULTS.WORK_DURATION) * 100;
-      progressBar.style.width = percentRemaining + "%";
+      /**
+       * Start (or resume) counting down from the remaining time
+       */
+      start: () => {
+        if (finished || endTime !== null) return;
+        endTime = Date.now() + remainingMs;
+        clearTicker();
+        // Poll faster than once a second so second boundaries are hit promptly
+        intervalId = setInterval(countdown.sync, 250);
+      },
       
-      // Play a tick sound every minute (or when 1 minute remains)
-      if (state.timerRemaining > 0 && 
-          (state.timerRemaining % 60 === 0 || state.timerRemaining === 60)) {
-        utils.playAudio('timer');
-      }
+      /**
+       * Freeze the countdown, keeping the time that is left
+       */
+      pause: () => {
+        if (endTime === null) return;
+        countdown.sync();
+        if (finished) return;
+        remainingMs = Math.max(0, endTime - Date.now());
+        endTime = null;
+        clearTicker();
+      },
       
-      if (state.timerRemaining <= 0) {
-        clearInterval(state.timerInterval);
-        utils.playAudio('complete');
-        utils.triggerHaptic(HAPTIC_PATTERNS.timerComplete);
-        goToExercises();
-      }
-    }, 1000);
+      resume: () => countdown.start(),
+      
+      /**
+       * Stop the countdown for good without firing onComplete
+       */
+      stop: () => {
+        clearTicker();
+        endTime = null;
+        finished = true;
+      },
+      
+      /**
+       * Recalculate the remaining time from the wall clock, firing
+       * onTick/onComplete as needed. Safe to call at any time.
+       */
+      sync: () => {
+        if (endTime === null || finished) return;
+        
+        remainingMs = Math.max(0, endTime - Date.now());
+        const seconds = Math.ceil(remainingMs / 1000);
+        
+        if (seconds !== lastSeconds) {
+          lastSeconds = seconds;
+          if (onTick) onTick(seconds, countdown);
+        }
+        
+        if (remainingMs <= 0) {
+          finished = true;
+          endTime = null;
+          clearTicker();
+          if (onComplete) onComplete(countdown);
+        }
+      },
+      
+      /** @return {number} Whole seconds left */
+      getRemaining: () => Math.ceil(remainingMs / 1000),
+      
+      /** @return {number} Percentage of the duration still left (0-100) */
+      getPercentRemaining: () => duration > 0 ? (Math.ceil(remainingMs / 1000) / duration) * 100 : 0,
+      
+      /** @return {number|null} Wall-clock end timestamp while running */
+      getEndTime: () => endTime,
+      
+      isRunning: () => endTime !== null,
+      isFinished: () => finished
+    };
+    
+    return countdown;
+  }
+  
+  /**
+   * Stop a countdown if one exists
+   * @param {Object|null} countdown - Countdown created by createCountdown
+   */
+  function stopCountdown(countdown) {
+    if (countdown) {
+      countdown.stop();
+    }
+  }
+  
+  // TIMER FUNCTIONS
+  /**
+   * Start the work countdown
+   * @param {Object} [resumeFrom] - Restored { duration, remaining, paused } values
+   */
+  function startTimer(resumeFrom = null) {
+    // Stop any existing countdown
+    stopCountdown(state.workCountdown);
+    
+    const duration = resumeFrom ? resumeFrom.duration : state.settings.workDuration;
+    state.workCountdown = createCountdown({
+      duration,
+      remaining: resumeFrom ? resumeFrom.remaining : duration,
+      onTick: handleTimerTick,
+      onComplete: handleTimerComplete
+    });
+    
+    // Reset timer state
+    state.timerRemaining = state.workCountdown.getRemaining();
+    updateTimerDisplay();
+    
+    // Reset and show progress bar
+    state.elements.timerProgress.style.width = state.workCountdown.getPercentRemaining() + "%";
+    
+    // Reset pause state
+    state.timerIsPaused = Boolean(resumeFrom && resumeFrom.paused);
+    updatePauseButtons();
+    
+    // A fresh timer opens a new entry for the session log
+    if (!resumeFrom || !state.currentSession) {
+      state.currentSession = createSessionRecord();
+    }
+    
+    if (!state.timerIsPaused) {
+      state.workCountdown.start();
+    }
+    saveSession();
+  }
+  
+  function handleTimerTick(remaining, countdown) {
+    state.timerRemaining = remaining;
+    updateTimerDisplay();
+    
+    // Update progress bar
+    state.elements.timerProgress.style.width = countdown.getPercentRemaining() + "%";
+    
+    // Play a tick sound every minute (or when 1 minute remains)
+    if (remaining > 0 && remaining % 60 === 0) {
+      giveFeedback('timerTick');
+    }
+    
+    // Screen readers hear the time left now and then, not every second
+    if (remaining > 0 && (remaining % ANNOUNCE.WORK_INTERVAL === 0 || remaining === ANNOUNCE.WORK_FINAL)) {
+      utils.announce(t('announce.focusLeft', { count: Math.round(remaining / 60) }));
+    }
+  }
+  
+  function handleTimerComplete() {
+    giveFeedback('timerComplete');
+    
+    // The break waits for the user, who may also postpone or skip it
+    state.breakDue = true;
+    state.breakDueAt = Date.now();
+    
+    if (state.isVisible) {
+      showBreakPrompt();
+    } else if (canNotify()) {
+      showBreakNotification();
+    }
+    // Otherwise the prompt shows up once the app is visible again
+  }
+  
+  /**
+   * Start the break that was waiting for the user, if there is one
+   */
+  function startDueBreak() {
+    if (!state.breakDue) return;
+    goToExercises();
+  }
+  
+  /**
+   * Carry out the action picked on the break notification
+   * @param {string} action - "start-break" or "snooze"
+   */
+  function runNotificationAction(action) {
+    if (!state.breakDue) return;
+    
+    if (action === 'snooze') {
+      snoozeBreak(DEFAULTS.SNOOZE_DURATION);
+    } else {
+      startDueBreak();
+    }
+  }
+  
+  /**
+   * Ask the user to start, postpone or skip the due break
+   */
+  function showBreakPrompt() {
+    if (!state.breakDue || state.breakPrompt) return;
+    
+    state.breakPrompt = utils.showModal({
+      title: t('breakPrompt.title'),
+      message: t('breakPrompt.message'),
+      actions: [
+        { label: t('breakPrompt.start'), onSelect: () => choose(startDueBreak) },
+        { label: t('breakPrompt.postpone'), onSelect: () => choose(showPostponeOptions) },
+        { label: t('breakPrompt.skip'), onSelect: () => choose(showSkipReasons) }
+      ]
+    });
+  }
+  
+  /**
+   * Forget the prompt a choice was made in, then act on the choice
+   * @param {Function} action - What the chosen button does
+   */
+  function choose(action) {
+    state.breakPrompt = null;
+    action();
+  }
+  
+  function closeBreakPrompt() {
+    if (state.breakPrompt) {
+      state.breakPrompt.close();
+      state.breakPrompt = null;
+    }
+  }
+  
+  function showPostponeOptions() {
+    const meetingSeconds = secondsUntilMeetingEnds();
+    const meetingEnd = new Date(Date.now() + meetingSeconds * 1000)
+      .toLocaleTimeString(state.locale, { hour: '2-digit', minute: '2-digit' });
+    
+    state.breakPrompt = utils.showModal({
+      title: t('postpone.title'),
+      actions: [
+        ...POSTPONE.SNOOZE_MINUTES.map(minutes => ({
+          label: t('postpone.minutes', { count: minutes }),
+          onSelect: () => choose(() => snoozeBreak(minutes * 60))
+        })),
+        {
+          label: t('postpone.meeting', { time: meetingEnd }),
+          onSelect: () => choose(() => snoozeBreak(secondsUntilMeetingEnds(), 'meeting'))
+        },
+        { label: t('common.back'), onSelect: () => choose(showBreakPrompt) }
+      ]
+    });
+  }
+  
+  function showSkipReasons() {
+    state.breakPrompt = utils.showModal({
+      title: t('skip.title'),
+      message: t('skip.message'),
+      actions: [
+        ...Object.keys(POSTPONE.SKIP_REASONS).map(key => ({
+          label: t(`skip.reason.${key}`),
+          onSelect: () => choose(() => skipBreak(POSTPONE.SKIP_REASONS[key]))
+        })),
+        { label: t('common.back'), onSelect: () => choose(showBreakPrompt) }
+      ]
+    });
+  }
+  
+  /**
+   * Time until the next half or full hour, at least POSTPONE.MEETING_MIN_WAIT away
+   * @return {number} Seconds
+   */
+  function secondsUntilMeetingEnds() {
+    const now = new Date();
+    const intoSlot = (now.getMinutes() * 60 + now.getSeconds()) % POSTPONE.MEETING_SLOT;
+    let seconds = POSTPONE.MEETING_SLOT - intoSlot;
+    if (seconds < POSTPONE.MEETING_MIN_WAIT) {
+      seconds += POSTPONE.MEETING_SLOT;
+    }
+    return seconds;
+  }
+  
+  /**
+   * Add the elapsed part of the work countdown to the current session
+   */
+  function recordWorkTime() {
+    if (!state.currentSession) {
+      state.currentSession = createSessionRecord();
+    }
+    if (state.workCountdown) {
+      state.currentSession.workSeconds += state.workCountdown.duration - state.workCountdown.getRemaining();
+    }
+  }
+  
+  /**
+   * Postpone the break by running another, shorter work countdown
+   * @param {number} seconds - Snooze length
+   * @param {string} [kind] - "snooze" or "meeting", kept in the session log
+   */
+  function snoozeBreak(seconds, kind = 'snooze') {
+    state.breakDue = false;
+    closeBreakPrompt();
+    closeBreakNotification();
+    
+    // The work done so far still counts towards the session
+    recordWorkTime();
+    state.currentSession.postponements.push({ kind, at: Date.now(), seconds });
+    
+    utils.showPage('timerSection');
+    startTimer({ duration: seconds, remaining: seconds, paused: false });
+    utils.showToast(t('toast.breakPostponed', { count: Math.round(seconds / 60) }));
+  }
+  
+  /**
+   * Log the due break as skipped and start the next work block
+   * @param {string} reason - Why the break was skipped
+   */
+  function skipBreak(reason) {
+    state.breakDue = false;
+    closeBreakPrompt();
+    closeBreakNotification();
+    
+    recordWorkTime();
+    state.currentSession.skipReason = reason;
+    recordSession();
+    utils.showToast(t('toast.breakSkipped'));
+    
+    if (endSessionIfNoBlockFits()) return;
+    
+    utils.showPage('timerSection');
+    startTimer();
   }
   
   function updateTimerDisplay() {
@@ -871,8 +2190,24 @@
     state.elements.timerRemaining.textContent = formattedTime;
   }
   
+  /**
+   * Label the timer and exercise pause buttons for their current state
+   */
+  function updatePauseButtons() {
+    state.elements.pauseTimerButton.textContent = t(state.timerIsPaused ? 'button.resume' : 'button.pause');
+    state.elements.pauseExerciseButton.textContent = t(state.isPaused ? 'button.resume' : 'button.pause');
+  }
+  
   // EXERCISE FUNCTIONS
   function goToExercises() {
+    state.breakDue = false;
+    closeBreakPrompt();
+    closeBreakNotification();
+    
+    // Log how much of the work block was actually done
+    recordWorkTime();
+    state.currentSession.breakStartedAt = Date.now();
+    
     // Switch to exercise page
     utils.showPage('exerciseSection');
     
@@ -886,63 +2221,130 @@
     
     // Start the first exercise
     startExerciseSegment();
-    
-    // Play transition sound
-    utils.playAudio('transition');
   }
   
   function generateExerciseSegments() {
     state.exerciseSegments = [];
     
-    // Shuffle and create a weighted distribution based on probability
-    let shuffled = [];
-    exercisesPool.forEach(exercise => {
-      // Add multiple entries based on probability
-      const entries = exercise.probability > 1 ? 
-                    Math.floor(exercise.probability) : 
-                    (exercise.probability < 1 ? 0.5 : 1);
-      
-      for (let i = 0; i < entries * 2; i++) {
-        shuffled.push(exercise);
+    const available = exercisesPool.filter(exercise => !exercise.excluded);
+    const recentIds = new Set(getRecentExercises().flat());
+    
+    // Rank fresh exercises first and fall back to recently used ones only
+    // when the fresh ones can't fill the session on their own
+    const candidates = [
+      ...weightedOrder(available.filter(exercise => !recentIds.has(exercise.id))),
+      ...weightedOrder(available.filter(exercise => recentIds.has(exercise.id)))
+    ];
+    
+    // A selected routine replaces the random pick with its fixed list
+    const routine = getRoutines().find(r => r.id === state.settings.activeRoutineId);
+    const routineExercises = routine
+      ? routine.exerciseIds.map(id => exercisesPool.find(exercise => exercise.id === id)).filter(Boolean)
+      : [];
+    
+    const selectedExercises = routineExercises.length > 0
+      ? routineExercises
+      : selectExercises(candidates, state.settings.maxExercises);
+    
+    selectedExercises.forEach(ex => {
+      // The "Exercise length" setting applies unless an exercise sets its
+      // own (built-in ones don't; custom ones may)
+      const duration = ex.duration || state.settings.exerciseDuration;
+      if (ex.unilateral) {
+        state.exerciseSegments.push({ ...ex, duration, side: "Left", status: "upcoming" });
+        state.exerciseSegments.push({ ...ex, duration, side: "Right", status: "upcoming" });
+      } else {
+        state.exerciseSegments.push({ ...ex, duration, side: "", status: "upcoming" });
       }
     });
     
-    // Shuffle the weighted array
-    shuffled = utils.shuffle(shuffled);
+    rememberRecentExercises(selectedExercises);
+  }
+  
+  /**
+   * Order exercises by weighted random sampling without replacement
+   * (Efraimidis-Spirakis): every exercise draws the key u^(1/weight) and the
+   * list is sorted by descending key, so arbitrary positive weights are honored.
+   * @param {Array} exercises - Pool items with a probability weight
+   * @return {Array} Exercises in sampled order
+   */
+  function weightedOrder(exercises) {
+    return exercises
+      .filter(exercise => exercise.probability > 0)
+      .map(exercise => ({
+        exercise,
+        key: Math.pow(Math.random(), 1 / exercise.probability)
+      }))
+      .sort((a, b) => b.key - a.key)
+      .map(entry => entry.exercise);
+  }
+  
+  /**
+   * Pick exercises in candidate order until the segment budget is full.
+   * Unilateral exercises use two segments (left and right).
+   * @param {Array} candidates - Exercises in order of preference
+   * @param {number} budget - Number of segments to fill
+   * @return {Array} Selected exercises
+   */
+  function selectExercises(candidates, budget) {
+    const selected = [];
+    let used = 0;
     
-    // Select unique exercises (up to MAX_EXERCISES)
-    const selectedExercises = [];
-    let totalSegments = 0;
+    candidates.forEach(exercise => {
+      const needed = exercise.unilateral ? 2 : 1;
+      if (used + needed <= budget) {
+        selected.push(exercise);
+        used += needed;
+      }
+    });
     
-    for (let ex of shuffled) {
-      // Skip if already selected
-      if (selectedExercises.find(e => e.name === ex.name)) continue;
-      
-      const needed = ex.unilateral ? 2 : 1;
-      if (totalSegments + needed <= DEFAULTS.MAX_EXERCISES) {
-        selectedExercises.push(ex);
-        if (ex.unilateral) {
-          state.exerciseSegments.push({ ...ex, side: "Left", status: "upcoming" });
-          state.exerciseSegments.push({ ...ex, side: "Right", status: "upcoming" });
-        } else {
-          state.exerciseSegments.push({ ...ex, side: "", status: "upcoming" });
+    // A single slot stays open when every remaining candidate is unilateral.
+    // Swapping the lowest-ranked bilateral pick for a unilateral one fills it.
+    if (budget - used === 1) {
+      const spare = candidates.find(exercise => exercise.unilateral && !selected.includes(exercise));
+      let bilateralIndex = -1;
+      for (let i = selected.length - 1; i >= 0; i--) {
+        if (!selected[i].unilateral) {
+          bilateralIndex = i;
+          break;
         }
-        totalSegments += needed;
       }
       
-      if (totalSegments >= DEFAULTS.MAX_EXERCISES) break;
+      if (spare && bilateralIndex !== -1) {
+        selected.splice(bilateralIndex, 1);
+        selected.push(spare);
+      }
     }
+    
+    return selected;
   }
   
-  function startExerciseSegment() {
-    // Reset pause state
-    state.isPaused = false;
-    
-    // Update pause button text
-    if (state.elements.pauseExerciseButton) {
-      state.elements.pauseExerciseButton.textContent = 'Pause';
-    }
-    
+  /**
+   * Exercise ids picked in the last sessions, one list per session. A stored
+   * value that isn't a list (corrupted or from an older version) is ignored.
+   * @return {Array} Lists of exercise ids
+   */
+  function getRecentExercises() {
+    const recent = storage.get(STORAGE_KEYS.recentExercises, []);
+    return Array.isArray(recent) ? recent.filter(Array.isArray) : [];
+  }
+  
+  /**
+   * Remember which exercises were picked so the next sessions can avoid them
+   * @param {Array} exercises - Exercises selected for this session
+   */
+  function rememberRecentExercises(exercises) {
+    const recent = getRecentExercises();
+    recent.push(exercises.map(exercise => exercise.id));
+    storage.set(STORAGE_KEYS.recentExercises, recent.slice(-DEFAULTS.RECENT_SESSIONS_AVOIDED));
+  }
+  
+  /**
+   * Start the exercise segment at state.currentExerciseIndex, beginning with
+   * the "get ready" interval when one is configured
+   * @param {Object} [resumeFrom] - Restored { phase, duration, remaining, paused } values
+   */
+  function startExerciseSegment(resumeFrom = null) {
     // Check if we've completed all exercises
     if (state.currentExerciseIndex >= state.exerciseSegments.length) {
       finishExercises();
@@ -953,66 +2355,156 @@
     state.exerciseSegments.forEach((seg, i) => {
       if (i === state.currentExerciseIndex) {
         seg.status = "ongoing";
-      } else if (seg.status !== "done") {
+      } else if (seg.status !== "done" && seg.status !== "skipped") {
         seg.status = "upcoming";
       }
     });
     
-    // Get current exercise
+    const phase = resumeFrom
+      ? resumeFrom.phase
+      : (state.settings.restDuration > 0 ? 'ready' : 'exercise');
+    
+    if (phase === 'ready') {
+      startGetReady(resumeFrom);
+    } else {
+      startExerciseCountdown(resumeFrom);
+    }
+  }
+  
+  /**
+   * Show a preview of the upcoming segment while counting down the get
+   * ready interval, giving time to change position or switch sides
+   * @param {Object} [resumeFrom] - Restored countdown values
+   */
+  function startGetReady(resumeFrom = null) {
+    const next = state.exerciseSegments[state.currentExerciseIndex];
+    const isSwitchingSides = next.side === "Right";
+    
+    showExercisePhase('ready', next);
+    state.elements.exercisePhaseLabel.textContent = t(isSwitchingSides ? 'exercise.switchSides' : 'exercise.getReady');
+    coachExercisePhase('ready', next);
+    
+    runExerciseCountdown(state.settings.restDuration, resumeFrom, startExerciseCountdown);
+    
+    giveFeedback('getReady');
+    saveSession();
+  }
+  
+  /**
+   * Count down the current exercise segment
+   * @param {Object} [resumeFrom] - Restored countdown values
+   */
+  function startExerciseCountdown(resumeFrom = null) {
+    // Don't carry a restored get ready value into the exercise itself
+    if (resumeFrom && resumeFrom.phase !== 'exercise') {
+      resumeFrom = null;
+    }
+    
     const current = state.exerciseSegments[state.currentExerciseIndex];
     
+    showExercisePhase('exercise', current);
+    coachExercisePhase('exercise', current);
+    
+    runExerciseCountdown(current.duration || state.settings.exerciseDuration, resumeFrom, handleExerciseComplete);
+    
+    // Play start sound and vibration
+    giveFeedback('exerciseStart');
+    
+    saveSession();
+  }
+  
+  /**
+   * Update the exercise page for the given phase and segment
+   * @param {string} phase - 'ready' or 'exercise'
+   * @param {Object} segment - Exercise segment to show
+   */
+  function showExercisePhase(phase, segment) {
+    state.exercisePhase = phase;
+    state.elements.exerciseSection.classList.toggle('get-ready', phase === 'ready');
+    
     // Update UI
-    const fullName = current.name + (current.side ? ` (${current.side})` : "");
-    state.elements.exerciseImage.src = current.image;
+    const fullName = segmentName(segment);
+    state.elements.exerciseImage.src = segment.media;
     state.elements.exerciseImage.alt = fullName;
-    state.elements.exerciseTitle.textContent = fullName;
-    state.elements.exerciseSubtitle.textContent = current.description;
+    state.elements.exerciseTitle.textContent = phase === 'ready' ? t('exercise.upNext', { name: fullName }) : fullName;
+    state.elements.exerciseSubtitle.textContent = exerciseText(segment).description;
+    
+    utils.announce(phase === 'ready'
+      ? t('announce.upNext', { name: fullName })
+      : t('announce.exercise', { name: fullName, count: segment.duration }));
+  }
+  
+  /**
+   * Replace the exercise countdown and reset its pause state and display
+   * @param {number} duration - Full duration in seconds
+   * @param {Object} [resumeFrom] - Restored { duration, remaining, paused } values
+   * @param {Function} onComplete - Called when the countdown finishes
+   */
+  function runExerciseCountdown(duration, resumeFrom, onComplete) {
+    // Reset pause state
+    state.isPaused = Boolean(resumeFrom && resumeFrom.paused);
+    
+    // Update pause button text
+    updatePauseButtons();
+    
+    // Stop any existing countdown
+    stopCountdown(state.exerciseCountdown);
+    
+    state.exerciseCountdown = createCountdown({
+      duration: resumeFrom ? resumeFrom.duration : duration,
+      remaining: resumeFrom ? resumeFrom.remaining : duration,
+      onTick: handleExerciseTick,
+      onComplete: () => onComplete()
+    });
     
     // Set up timer
-    state.exerciseRemaining = DEFAULTS.EXERCISE_DURATION;
+    state.exerciseRemaining = state.exerciseCountdown.getRemaining();
     updateExerciseTimer();
     
     // Set up progress bar
-    const progressBar = state.elements.exerciseProgress;
-    progressBar.style.width = "100%";
+    state.elements.exerciseProgress.style.width = state.exerciseCountdown.getPercentRemaining() + "%";
     
-    // Clear any existing interval
-    clearInterval(state.exerciseInterval);
+    if (!state.isPaused) {
+      state.exerciseCountdown.start();
+    }
+  }
+  
+  function handleExerciseTick(remaining, countdown) {
+    state.exerciseRemaining = remaining;
+    updateExerciseTimer();
     
-    // Play start sound and vibration
-    utils.playAudio('transition');
-    utils.triggerHaptic(HAPTIC_PATTERNS.exerciseStart);
+    // Update progress bar
+    state.elements.exerciseProgress.style.width = countdown.getPercentRemaining() + "%";
     
-    // Start new interval
-    state.exerciseInterval = setInterval(() => {
-      state.exerciseRemaining--;
-      updateExerciseTimer();
-      
-      // Update progress bar
-      const percentRemaining = (state.exerciseRemaining / DEFAULTS.EXERCISE_DURATION) * 100;
-      progressBar.style.width = percentRemaining + "%";
-      
-      if (state.exerciseRemaining <= 0) {
-        clearInterval(state.exerciseInterval);
-        
-        // Play completion sound
-        utils.playAudio('complete');
-        utils.triggerHaptic(HAPTIC_PATTERNS.exerciseComplete);
-        
-        // Mark as done + add to completed
-        state.exerciseSegments[state.currentExerciseIndex].status = "done";
-        state.completedExercises.push({
-          name: current.name,
-          side: current.side,
-          description: current.description,
-          tag: "nothing"
-        });
-        
-        // Move to next exercise
-        state.currentExerciseIndex++;
-        startExerciseSegment();
-      }
-    }, 1000);
+    if (state.exercisePhase === 'exercise' && remaining === ANNOUNCE.EXERCISE_FINAL) {
+      utils.announce(t('announce.secondsLeft', { count: remaining }));
+    }
+    
+    // Count the last seconds out loud
+    if (remaining > 0 && remaining <= VOICE_COUNTDOWN) {
+      speak(formatNumber(remaining), true);
+    }
+  }
+  
+  function handleExerciseComplete() {
+    // Play completion sound and vibration
+    giveFeedback('exerciseComplete');
+    
+    // Mark as done + add to completed
+    const current = state.exerciseSegments[state.currentExerciseIndex];
+    recordSegmentOutcome(current, 'completed');
+    state.completedExercises.push({
+      id: current.id,
+      name: current.name,
+      side: current.side,
+      description: current.description,
+      translations: current.translations,
+      tag: "nothing"
+    });
+    
+    // Move to next exercise
+    state.currentExerciseIndex++;
+    startExerciseSegment();
   }
   
   function updateExerciseTimer() {
@@ -1022,20 +2514,35 @@
   }
   
   function finishExercises() {
-    // Clear any intervals
-    clearInterval(state.exerciseInterval);
+    // Stop the exercise countdown
+    stopCountdown(state.exerciseCountdown);
+    state.exerciseCountdown = null;
     
-    // Show completion vibration
-    utils.triggerHaptic(HAPTIC_PATTERNS.sessionComplete);
+    // Nothing left to resume
+    clearSession();
+    recordSession();
+    
+    // Completion sound and vibration
+    giveFeedback('sessionComplete');
+    speak(t('voice.breakComplete'), true);
     
     // Switch to finish page
     utils.showPage('finishSection');
     
     // Render the completed exercises list
     renderCompletedExercises();
+    renderFinishStatus();
+  }
+  
+  /**
+   * Tell the user whether another work block follows this break
+   */
+  function renderFinishStatus() {
+    const status = getNextBlockStatus();
     
-    // Play completion sound
-    utils.playAudio('complete');
+    state.elements.finishTitle.textContent = t(`finish.${status}.title`);
+    state.elements.finishMessage.textContent = t(`finish.${status}.message`);
+    state.elements.restartButton.textContent = t(`finish.${status}.button`);
   }
   
   function renderCompletedExercises() {
@@ -1044,24 +2551,2019 @@
     
     state.completedExercises.forEach((ex, idx) => {
       const li = document.createElement("li");
-      const fullName = ex.name + (ex.side ? ` (${ex.side})` : "");
-      li.textContent = fullName;
+      li.textContent = completedExerciseLabel(ex, ex.tag);
       li.setAttribute("data-index", idx);
       li.setAttribute("data-tag", ex.tag); // current tag state
+      li.setAttribute("tabindex", "0");
+      li.setAttribute("role", "button");
       li.addEventListener("click", () => handlers.cycleTag(li));
+      li.addEventListener("keydown", (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          handlers.cycleTag(li);
+        }
+      });
       doneList.appendChild(li);
     });
   }
   
-  // INITIALIZATION
-  function init() {
-    cacheElements();
-    initializeAudio();
-    preloadImages();
-    attachEventListeners();
+  /**
+   * Finish list text for a completed exercise, with its frequency tag
+   * @param {Object} exercise - Entry of state.completedExercises
+   * @param {string} tag - "more", "less" or "nothing"
+   * @return {string} List item text
+   */
+  function completedExerciseLabel(exercise, tag) {
+    const name = segmentName(exercise);
+    return tag !== "nothing" ? t('finish.taggedExercise', { name, tag: t(`frequency.${tag}`).toLocaleUpperCase(state.locale) }) : name;
+  }
+  
+  // SETTINGS
+  /**
+   * Clamp a numeric setting to its allowed range and check the shape of
+   * the others
+   * @param {string} key - Setting name
+   * @param {*} value - Candidate value
+   * @return {*} Valid value, or the default when invalid
+   */
+  function sanitizeSetting(key, value) {
+    if (typeof DEFAULT_SETTINGS[key] === 'boolean') return Boolean(value);
     
-    // Set initial ARIA states
-    utils.setAriaState(state.elements.backButton, 'aria-expanded', false);
+    if (SETTINGS_CHOICES[key]) {
+      return SETTINGS_CHOICES[key].includes(value) ? value : DEFAULT_SETTINGS[key];
+    }
+    
+    if (typeof DEFAULT_SETTINGS[key] === 'string' && !TIME_SETTINGS.includes(key)) {
+      return typeof value === 'string' ? value : DEFAULT_SETTINGS[key];
+    }
+    
+    if (TIME_SETTINGS.includes(key)) {
+      // Lunch is optional, working hours are not
+      if (value === '' && key.startsWith('lunch')) return '';
+      return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+        ? value
+        : DEFAULT_SETTINGS[key];
+    }
+    
+    if (key === 'feedback') {
+      // Fill in missing events and channels from the defaults
+      const feedback = defaultFeedback();
+      if (value === null || typeof value !== 'object') return feedback;
+      
+      Object.keys(feedback).forEach(name => {
+        const stored = value[name] || {};
+        FEEDBACK_CHANNELS.forEach(channel => {
+          if (typeof stored[channel] === 'boolean') feedback[name][channel] = stored[channel];
+        });
+        if (HAPTIC_PATTERNS[stored.pattern]) feedback[name].pattern = stored.pattern;
+      });
+      return feedback;
+    }
+    
+    if (key === 'workDays') {
+      if (!Array.isArray(value)) return DEFAULT_SETTINGS[key];
+      return [...new Set(value.filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort((a, b) => a - b);
+    }
+    
+    const limits = SETTINGS_LIMITS[key];
+    if (!limits) return value;
+    if (typeof value !== 'number' || !isFinite(value)) return DEFAULT_SETTINGS[key];
+    return Math.min(limits.max, Math.max(limits.min, Math.round(value)));
+  }
+  
+  function loadSettings() {
+    const stored = storage.get(STORAGE_KEYS.settings, {});
+    const settings = { ...DEFAULT_SETTINGS };
+    
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+      if (stored[key] !== undefined) {
+        settings[key] = sanitizeSetting(key, stored[key]);
+      }
+    });
+    
+    state.settings = settings;
+  }
+  
+  /**
+   * Change settings, persist them and refresh anything that displays them
+   * @param {Object} changes - Settings to change
+   */
+  function updateSettings(changes) {
+    Object.keys(changes).forEach(key => {
+      if (key in DEFAULT_SETTINGS) {
+        state.settings[key] = sanitizeSetting(key, changes[key]);
+      }
+    });
+    
+    storage.set(STORAGE_KEYS.settings, state.settings);
+    applySettings();
+  }
+  
+  /**
+   * Reflect the live settings in idle parts of the UI. Running countdowns
+   * keep their duration; new values apply from the next timer on.
+   */
+  function applySettings() {
+    state.elements.landingIntro.textContent = t('landing.intro', { count: Math.round(state.settings.workDuration / 60) });
+    sound.applyVolume();
+    applyTheme();
+    
+    if (!state.workCountdown || state.workCountdown.isFinished()) {
+      state.timerRemaining = state.settings.workDuration;
+      updateTimerDisplay();
+    }
+  }
+  
+  function settingsChangeMessage() {
+    const isRunning = ['timerSection', 'exerciseSection'].includes(state.currentPage);
+    return t(isRunning ? 'settings.appliesNextTimer' : 'settings.saved');
+  }
+  
+  function renderSettings() {
+    renderVoiceOptions();
+    renderFeedbackSettings();
+    state.elements.wakeLockSettings.hidden = !isWakeLockSupported();
+    
+    state.elements.settingInputs.forEach(input => {
+      const key = input.getAttribute('data-setting');
+      if (input.hasAttribute('data-day')) {
+        input.checked = state.settings[key].includes(parseInt(input.getAttribute('data-day'), 10));
+        return;
+      }
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(state.settings[key]);
+        return;
+      }
+      if (input.type === 'time' || input.tagName === 'SELECT') {
+        input.value = state.settings[key];
+        return;
+      }
+      
+      const unit = parseInt(input.getAttribute('data-unit'), 10) || 1;
+      const limits = SETTINGS_LIMITS[key];
+      input.min = Math.ceil(limits.min / unit);
+      input.max = Math.floor(limits.max / unit);
+      input.value = Math.round(state.settings[key] / unit);
+    });
+    
+    const presetList = state.elements.presetList;
+    presetList.innerHTML = "";
+    
+    TIMER_PRESETS.forEach(preset => {
+      const isActive = preset.workDuration === state.settings.workDuration &&
+        preset.exerciseDuration === state.settings.exerciseDuration &&
+        preset.maxExercises === state.settings.maxExercises;
+      
+      const button = document.createElement("button");
+      button.textContent = preset.label;
+      button.setAttribute('aria-pressed', isActive.toString());
+      button.addEventListener('click', () => handlers.applyPreset(preset));
+      presetList.appendChild(button);
+    });
+  }
+  
+  // THEMES
+  /**
+   * Color theme to show: the one chosen in Settings, otherwise the one
+   * matching the system's contrast and color scheme preferences
+   * @return {string} Key of COLOR_THEMES
+   */
+  function getColorTheme() {
+    const choice = state.settings.colorTheme;
+    if (COLOR_THEMES.includes(choice)) return choice;
+    if (window.matchMedia(MEDIA_QUERIES.contrast).matches) return 'contrast';
+    return window.matchMedia(MEDIA_QUERIES.dark).matches ? 'dark' : 'light';
+  }
+  
+  /**
+   * Apply the color theme to the page, and its --theme-color to the
+   * browser UI
+   */
+  function applyTheme() {
+    const root = document.documentElement;
+    root.setAttribute('data-theme', getColorTheme());
+    
+    const color = getComputedStyle(root).getPropertyValue('--theme-color').trim();
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta && color) meta.setAttribute('content', color);
+  }
+  
+  /**
+   * Follow changes to the system appearance while the theme is automatic
+   */
+  function watchThemePreferences() {
+    [MEDIA_QUERIES.dark, MEDIA_QUERIES.contrast].forEach(query => {
+      window.matchMedia(query).addEventListener('change', () => {
+        if (state.settings.colorTheme === 'auto') applyTheme();
+      });
+    });
+  }
+  
+  // WORKING HOURS
+  /**
+   * Minutes since midnight for an "HH:MM" setting
+   * @param {string} time - Local time of day
+   * @return {number} Minutes
+   */
+  function minutesOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+  
+  /**
+   * Where a moment falls in the working-hours schedule
+   * @param {Date} [date] - Moment to check, now by default
+   * @return {string} "work", "lunch" or "off"
+   */
+  function getScheduleStatus(date = new Date()) {
+    const { workDays, workStart, workEnd, lunchStart, lunchEnd } = state.settings;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    
+    if (!workDays.includes(date.getDay())) return 'off';
+    if (minutes < minutesOfDay(workStart) || minutes >= minutesOfDay(workEnd)) return 'off';
+    if (lunchStart && lunchEnd &&
+        minutes >= minutesOfDay(lunchStart) && minutes < minutesOfDay(lunchEnd)) return 'lunch';
+    return 'work';
+  }
+  
+  /**
+   * Whether a full work block fits before the next lunch or the end of the
+   * day. Without a schedule timers simply keep going.
+   * @return {string} "work", "lunch" or "day-complete"
+   */
+  function getNextBlockStatus() {
+    if (!state.settings.scheduleEnabled) return 'work';
+    
+    const now = new Date();
+    const blockEnd = new Date(now.getTime() + state.settings.workDuration * 1000);
+    const { lunchStart, lunchEnd } = state.settings;
+    
+    if (getScheduleStatus(now) === 'off' || getScheduleStatus(blockEnd) === 'off' ||
+        dayKey(blockEnd) !== dayKey(now)) {
+      return 'day-complete';
+    }
+    
+    // A block ending in or running through lunch waits until after lunch
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    const endMinutes = blockEnd.getHours() * 60 + blockEnd.getMinutes();
+    if (getScheduleStatus(now) === 'lunch' ||
+        (lunchStart && lunchEnd && nowMinutes < minutesOfDay(lunchStart) && endMinutes > minutesOfDay(lunchStart))) {
+      return 'lunch';
+    }
+    
+    return 'work';
+  }
+  
+  /**
+   * Remember that the block before lunch or the working day is done, so
+   * checkSchedule doesn't start another timer until lunch is over or the
+   * next day begins
+   * @param {string} status - "lunch" or "day-complete"
+   */
+  function markScheduleDone(status) {
+    const until = new Date();
+    if (status === 'lunch') {
+      const minutes = minutesOfDay(state.settings.lunchEnd);
+      until.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    } else {
+      until.setHours(24, 0, 0, 0);
+    }
+    state.scheduleDoneUntil = until.getTime();
+  }
+  
+  /**
+   * Go back to the landing page instead of starting another work block when
+   * none fits before lunch or the end of the day
+   * @return {boolean} Whether the schedule ended the session
+   */
+  function endSessionIfNoBlockFits() {
+    const status = getNextBlockStatus();
+    if (status === 'work') return false;
+    
+    markScheduleDone(status);
+    stopCountdown(state.workCountdown);
+    state.workCountdown = null;
+    clearSession();
+    utils.showPage('landingPage');
+    return true;
+  }
+  
+  /**
+   * Start the work timer when the app sits on the landing page during
+   * working hours and a full block fits before lunch or the end of the day
+   */
+  function checkSchedule() {
+    if (!state.settings.scheduleEnabled || state.currentPage !== 'landingPage') return;
+    if (Date.now() < state.scheduleDoneUntil) return;
+    if (getScheduleStatus() !== 'work' || getNextBlockStatus() !== 'work') return;
+    
+    utils.showPage('timerSection');
+    startTimer();
+    utils.showToast(t('toast.workingHoursStarted'));
+  }
+  
+  // AWAY DETECTION
+  /**
+   * Watch for absences from the desk. Uses the Idle Detection API where it
+   * is available and allowed, otherwise input and page visibility.
+   * @param {boolean} [askPermission] - Prompt for the idle permission (needs a user gesture)
+   */
+  function startAwayDetection(askPermission = false) {
+    if (!('IdleDetector' in window) || state.idleDetector) return;
+    
+    const permission = askPermission
+      ? IdleDetector.requestPermission()
+      : navigator.permissions.query({ name: 'idle-detection' }).then(status => status.state);
+    
+    permission
+      .then(result => {
+        if (result !== 'granted') return undefined;
+        
+        const detector = new IdleDetector();
+        detector.addEventListener('change', handlers.handleIdleChange);
+        return detector.start({ threshold: AWAY_DETECTION.IDLE_THRESHOLD }).then(() => {
+          state.idleDetector = detector;
+        });
+      })
+      .catch(error => {
+        // Keep using the fallback heuristics
+        console.warn('Idle detection unavailable:', error);
+      });
+  }
+  
+  /**
+   * React to an absence that has just ended. Without the Idle Detection API
+   * the app can't tell an absence from working in another app, so a hidden
+   * page counts as away as well; "pause" and "reset" treat both kinds of
+   * absence the same way, and the away threshold keeps short switches out.
+   * @param {number} since - When the user was last seen (timestamp)
+   */
+  function checkAway(since) {
+    const awaySeconds = (Date.now() - since) / 1000;
+    const threshold = state.settings.awayThreshold;
+    
+    // Only a running work timer (or the break it just made due) reacts
+    if (!threshold || awaySeconds < threshold) return;
+    if (state.currentPage !== 'timerSection' || !state.workCountdown || state.timerIsPaused) return;
+    
+    const countdown = state.workCountdown;
+    const minutes = Math.round(awaySeconds / 60);
+    
+    // Seconds the countdown kept running after the user left
+    const countedAway = state.breakDue
+      ? Math.max(0, (state.breakDueAt - since) / 1000)
+      : awaySeconds;
+    
+    state.breakDue = false;
+    closeBreakPrompt();
+    closeBreakNotification();
+    
+    if (state.settings.awayAction === 'reset') {
+      // The absence was the break: log it and begin a fresh work block
+      recordWorkTime();
+      state.currentSession.workSeconds = Math.max(0, state.currentSession.workSeconds - countedAway);
+      state.currentSession.skipReason = AWAY_DETECTION.SKIP_REASON;
+      recordSession();
+      utils.showToast(t('toast.awayReset', { count: minutes }), 6000);
+      
+      if (endSessionIfNoBlockFits()) return;
+      startTimer();
+    } else {
+      // Hold the timer where it was when the user left
+      const remaining = Math.min(countdown.duration, countdown.getRemaining() + countedAway);
+      startTimer({ duration: countdown.duration, remaining: Math.round(remaining), paused: true });
+      utils.showToast(t('toast.awayPaused', { count: minutes }), 6000);
+    }
+  }
+  
+  // SCREEN WAKE LOCK
+  function isWakeLockSupported() {
+    return 'wakeLock' in navigator;
+  }
+  
+  /**
+   * Whether the current page should keep the screen on. Exercises do
+   * unless the setting is off; the focus timer only with "always".
+   * @return {boolean}
+   */
+  function wantsWakeLock() {
+    const mode = state.settings.wakeLock;
+    if (mode === 'off') return false;
+    if (state.currentPage === 'exerciseSection') return true;
+    return mode === 'always' && state.currentPage === 'timerSection';
+  }
+  
+  /**
+   * Hold or release the screen wake lock to match the current page
+   */
+  function updateWakeLock() {
+    if (wantsWakeLock()) {
+      requestWakeLock();
+    } else {
+      releaseWakeLock();
+    }
+  }
+  
+  /**
+   * Keep the screen from dimming and locking, so countdowns aren't
+   * throttled while the user exercises away from the device. Only
+   * possible while the page is visible; the browser releases the lock
+   * when it is hidden.
+   */
+  function requestWakeLock() {
+    if (!isWakeLockSupported() || state.wakeLock || document.visibilityState !== 'visible') return;
+    
+    const request = navigator.wakeLock.request('screen')
+      .then(sentinel => {
+        sentinel.addEventListener('release', () => {
+          if (state.wakeLock === request) state.wakeLock = null;
+        });
+        return sentinel;
+      })
+      .catch(error => {
+        // E.g. battery saver or a permissions policy; the session runs on regardless
+        console.warn('Screen wake lock unavailable:', error);
+        if (state.wakeLock === request) state.wakeLock = null;
+        return null;
+      });
+    
+    state.wakeLock = request;
+  }
+  
+  function releaseWakeLock() {
+    const request = state.wakeLock;
+    if (!request) return;
+    
+    state.wakeLock = null;
+    request
+      .then(sentinel => sentinel && sentinel.release())
+      .catch(error => {
+        console.warn('Screen wake lock release failed:', error);
+      });
+  }
+  
+  // VOICE COACH
+  function isSpeechSupported() {
+    return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+  }
+  
+  /**
+   * Voices matching the configured language (the interface language when
+   * none is set)
+   * @return {Array} SpeechSynthesisVoice objects
+   */
+  function getCoachVoices() {
+    if (!isSpeechSupported()) return [];
+    
+    const lang = (state.settings.voiceLang || state.locale).toLowerCase();
+    return speechSynthesis.getVoices()
+      .filter(voice => voice.lang.toLowerCase().startsWith(lang));
+  }
+  
+  /**
+   * Say something with the voice coach. Does nothing when the coach is off
+   * or the browser can't speak.
+   * @param {string} text - Text to speak
+   * @param {boolean} [interrupt] - Cut off whatever is being said
+   */
+  function speak(text, interrupt = false) {
+    if (!state.settings.voiceEnabled || !isSpeechSupported()) return;
+    
+    try {
+      if (interrupt) speechSynthesis.cancel();
+      
+      const utterance = new SpeechSynthesisUtterance(text);
+      const voices = getCoachVoices();
+      const voice = voices.find(v => v.name === state.settings.voiceName) ||
+        voices.find(v => v.default) || voices[0];
+      
+      if (voice) utterance.voice = voice;
+      utterance.lang = voice ? voice.lang : (state.settings.voiceLang || document.documentElement.lang);
+      utterance.rate = state.settings.voiceRate / 100;
+      speechSynthesis.speak(utterance);
+    } catch (e) {
+      console.warn('Speech synthesis error:', e);
+    }
+  }
+  
+  function stopSpeaking() {
+    if (isSpeechSupported()) speechSynthesis.cancel();
+  }
+  
+  /**
+   * Talk the user through a get ready interval or an exercise
+   * @param {string} phase - 'ready' or 'exercise'
+   * @param {Object} segment - Exercise segment
+   */
+  function coachExercisePhase(phase, segment) {
+    const isSwitchingSides = segment.side === "Right";
+    const text = exerciseText(segment);
+    const spokenName = segment.side
+      ? t('voice.nameWithSide', { name: text.name, side: t(`exercise.side.${segment.side.toLowerCase()}`) })
+      : text.name;
+    
+    if (phase === 'ready') {
+      speak(isSwitchingSides ? t('voice.switchSides') : t('voice.upNext', { name: spokenName }), true);
+      return;
+    }
+    
+    // After a get ready interval the name has been said already
+    const hadGetReady = state.settings.restDuration > 0;
+    if (isSwitchingSides) {
+      speak(hadGetReady ? t('voice.go') : t('voice.switchSidesTo', { name: spokenName }), true);
+      return;
+    }
+    
+    const instructions = text.instructions.join(' ') || text.description;
+    speak(`${hadGetReady ? t('voice.go') : t('voice.name', { name: spokenName })} ${instructions}`, true);
+  }
+  
+  /**
+   * Fill the voice coach language and voice pickers from the installed voices
+   */
+  function renderVoiceOptions() {
+    state.elements.voiceSettings.hidden = !isSpeechSupported();
+    if (!isSpeechSupported()) return;
+    
+    const fillSelect = (select, defaultLabel, options) => {
+      select.innerHTML = "";
+      [{ value: '', label: defaultLabel }, ...options].forEach(({ value, label }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+    };
+    
+    const languages = [...new Set(speechSynthesis.getVoices().map(voice => voice.lang))].sort();
+    fillSelect(state.elements.voiceLangInput, t('settings.automatic'),
+      languages.map(lang => ({ value: lang, label: lang })));
+    fillSelect(state.elements.voiceNameInput, t('settings.defaultVoice'),
+      getCoachVoices().map(voice => ({ value: voice.name, label: `${voice.name} (${voice.lang})` })));
+  }
+  
+  // FEEDBACK
+  /**
+   * Give the configured sound, vibration and flash feedback for an event.
+   * Flashing stands in for vibration on devices that can't vibrate at all.
+   * @param {string} name - Key of FEEDBACK_EVENTS
+   */
+  function giveFeedback(name) {
+    const event = FEEDBACK_EVENTS[name];
+    const choice = state.settings.feedback[name];
+    if (!event || !choice) return;
+    
+    if (choice.sound) {
+      utils.playAudio(event.cue);
+    }
+    
+    if (choice.vibration) {
+      utils.triggerHaptic(HAPTIC_PATTERNS[choice.pattern]);
+    }
+    
+    if (choice.flash || (choice.vibration && !state.isVibrationSupported)) {
+      utils.flashScreen();
+    }
+  }
+  
+  function renderFeedbackSettings() {
+    const container = state.elements.feedbackSettings;
+    container.innerHTML = "";
+    
+    Object.keys(FEEDBACK_EVENTS).forEach(name => {
+      const choice = state.settings.feedback[name];
+      const group = document.createElement("fieldset");
+      group.className = 'feedback-event';
+      
+      const eventLabel = t(`feedback.event.${name}`);
+      const legend = document.createElement("legend");
+      legend.textContent = eventLabel;
+      group.appendChild(legend);
+      
+      FEEDBACK_CHANNELS.forEach(channel => {
+        const label = document.createElement("label");
+        const input = document.createElement("input");
+        input.type = 'checkbox';
+        input.checked = choice[channel];
+        input.setAttribute('data-event', name);
+        input.setAttribute('data-channel', channel);
+        label.append(input, ` ${t(`feedback.channel.${channel}`)}`);
+        group.appendChild(label);
+      });
+      
+      const pattern = document.createElement("select");
+      pattern.setAttribute('data-event', name);
+      pattern.setAttribute('data-channel', 'pattern');
+      pattern.setAttribute('aria-label', t('feedback.patternLabel', { event: eventLabel }));
+      Object.keys(HAPTIC_PATTERNS).forEach(key => {
+        const option = document.createElement("option");
+        option.value = key;
+        option.textContent = t(`feedback.pattern.${key}`);
+        pattern.appendChild(option);
+      });
+      pattern.value = choice.pattern;
+      pattern.disabled = !choice.vibration;
+      
+      const test = document.createElement("button");
+      test.type = 'button';
+      test.textContent = t('feedback.test');
+      test.setAttribute('data-test-event', name);
+      test.setAttribute('aria-label', t('feedback.testLabel', { event: eventLabel }));
+      
+      group.append(pattern, test);
+      container.appendChild(group);
+    });
+  }
+  
+  // KEYBOARD SHORTCUTS
+  function renderShortcuts() {
+    const list = state.elements.shortcutsList;
+    list.innerHTML = "";
+    
+    SHORTCUTS.forEach(shortcut => {
+      const keys = document.createElement("dt");
+      shortcut.keys.forEach(key => {
+        const kbd = document.createElement("kbd");
+        // Only the space bar has a name that differs between languages
+        kbd.textContent = key === 'Space' ? t('shortcuts.spaceKey') : key;
+        keys.appendChild(kbd);
+      });
+      
+      const description = document.createElement("dd");
+      description.textContent = t(`shortcuts.${shortcut.action}`);
+      
+      list.append(keys, description);
+    });
+  }
+  
+  // TRANSLATIONS
+  /**
+   * Interface language to use: the one chosen in Settings, otherwise the
+   * first supported browser language, otherwise the default
+   * @return {string} Locale code (see I18N.LOCALES)
+   */
+  function getPreferredLocale() {
+    if (state.settings.language) return state.settings.language;
+    
+    const browserLanguages = navigator.languages && navigator.languages.length > 0
+      ? navigator.languages
+      : [navigator.language || ''];
+    const match = browserLanguages
+      .map(tag => tag.toLowerCase().split('-')[0])
+      .find(code => I18N.LOCALES.includes(code));
+    return match || I18N.DEFAULT_LOCALE;
+  }
+  
+  /**
+   * Fetch a locale's messages, plus the default ones as fallback, and make
+   * it the interface language. Stays with the default locale on failure.
+   * @param {string} locale - Locale code
+   * @return {Promise} Resolves once the messages are available
+   */
+  function loadLocale(locale) {
+    const fetchMessages = (code) => {
+      if (localeMessages[code]) return Promise.resolve();
+      
+      return fetch(`${I18N.PATH}${code}.json`)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(messages => {
+          localeMessages[code] = messages;
+        })
+        .catch(error => {
+          console.error(`Locale loading error (${code}):`, error);
+        });
+    };
+    
+    return Promise.all([fetchMessages(I18N.DEFAULT_LOCALE), fetchMessages(locale)]).then(() => {
+      state.locale = localeMessages[locale] ? locale : I18N.DEFAULT_LOCALE;
+      document.documentElement.lang = state.locale;
+    });
+  }
+  
+  /**
+   * Look up a message in the interface language. Placeholders like {name}
+   * are filled from params, numbers formatted for the locale. Messages given
+   * as { one, other } pick their plural form by params.count.
+   * @param {string} key - Message key, e.g. "toast.timerStarted"
+   * @param {Object} [params] - Placeholder values
+   * @return {string} Message, or the key when no catalog has it
+   */
+  function t(key, params = {}) {
+    const messages = localeMessages[state.locale] || {};
+    const fallback = localeMessages[I18N.DEFAULT_LOCALE] || {};
+    let message = key in messages ? messages[key] : fallback[key];
+    if (message === undefined) return key;
+    
+    if (typeof message === 'object') {
+      message = message[new Intl.PluralRules(state.locale).select(params.count)] || message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+    });
+  }
+  
+  /**
+   * @param {number} value - Number to format
+   * @return {string} The number formatted for the interface language
+   */
+  function formatNumber(value) {
+    return new Intl.NumberFormat(state.locale).format(value);
+  }
+  
+  /**
+   * Translate the static markup. data-i18n replaces an element's text,
+   * data-i18n-html its markup and data-i18n-aria-label its accessible name.
+   * Elements keep their English text when a message is missing.
+   */
+  function translatePage() {
+    const translate = (attribute, apply) => {
+      document.querySelectorAll(`[${attribute}]`).forEach(element => {
+        const key = element.getAttribute(attribute);
+        const message = t(key);
+        if (message !== key) apply(element, message);
+      });
+    };
+    
+    translate('data-i18n', (element, message) => { element.textContent = message; });
+    translate('data-i18n-html', (element, message) => { element.innerHTML = message; });
+    translate('data-i18n-aria-label', (element, message) => element.setAttribute('aria-label', message));
+  }
+  
+  /**
+   * Switch to the preferred interface language and redraw the texts that
+   * are on screen while it can change (landing page and Settings)
+   * @return {Promise} Resolves once the texts are updated
+   */
+  function applyLanguage() {
+    return loadLocale(getPreferredLocale()).then(() => {
+      translatePage();
+      applySettings();
+      renderShortcuts();
+      renderSettings();
+    });
+  }
+  
+  /**
+   * An exercise's texts in the interface language, taken from the catalog
+   * translations where there are any. Logs keep the original name.
+   * @param {Object} exercise - Pool item, segment or completed exercise
+   * @return {Object} { name, description, instructions, bodyAreas }
+   */
+  function exerciseText(exercise) {
+    const translation = (exercise.translations || {})[state.locale] || {};
+    return {
+      name: translation.name || exercise.name,
+      description: translation.description || exercise.description,
+      instructions: translation.instructions || exercise.instructions || [],
+      bodyAreas: translation.bodyAreas || exercise.bodyAreas || []
+    };
+  }
+  
+  /**
+   * @param {Object} segment - Exercise segment or completed exercise
+   * @return {string} Translated exercise name, with the side if it has one
+   */
+  function segmentName(segment) {
+    const { name } = exerciseText(segment);
+    if (!segment.side) return name;
+    return t('exercise.nameWithSide', { name, side: t(`exercise.side.${segment.side.toLowerCase()}`) });
+  }
+  
+  // EXERCISE CATALOG
+  /**
+   * Check a catalog entry and normalize its optional fields
+   * @param {Object} entry - Raw catalog entry
+   * @return {Object} { exercise, error } - exercise is null when invalid
+   */
+  function validateCatalogEntry(entry) {
+    const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+    const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+    
+    if (!entry || typeof entry !== 'object') return { exercise: null, error: 'not an object' };
+    if (!isNonEmptyString(entry.id)) return { exercise: null, error: 'missing id' };
+    if (!isNonEmptyString(entry.name)) return { exercise: null, error: 'missing name' };
+    if (!isNonEmptyString(entry.description)) return { exercise: null, error: 'missing description' };
+    if (!isNonEmptyString(entry.media)) return { exercise: null, error: 'missing media' };
+    if (typeof entry.unilateral !== 'boolean') return { exercise: null, error: 'unilateral must be true or false' };
+    if (entry.duration !== undefined && !(typeof entry.duration === 'number' && entry.duration > 0)) {
+      return { exercise: null, error: 'duration must be a positive number of seconds' };
+    }
+    if (entry.difficulty !== undefined && !CATALOG.DIFFICULTIES.includes(entry.difficulty)) {
+      return { exercise: null, error: `difficulty must be one of ${CATALOG.DIFFICULTIES.join(', ')}` };
+    }
+    
+    for (const field of ['instructions', 'bodyAreas', 'equipment']) {
+      if (entry[field] !== undefined && !isStringList(entry[field])) {
+        return { exercise: null, error: `${field} must be a list of strings` };
+      }
+    }
+    
+    // Optional texts per locale: { de: { name, description, instructions, bodyAreas } }
+    const translations = entry.translations || {};
+    if (typeof translations !== 'object' || Array.isArray(translations)) {
+      return { exercise: null, error: 'translations must be an object' };
+    }
+    for (const locale of Object.keys(translations)) {
+      const translation = translations[locale];
+      const isValid = translation && typeof translation === 'object' &&
+        ['name', 'description'].every(field => translation[field] === undefined || isNonEmptyString(translation[field])) &&
+        ['instructions', 'bodyAreas'].every(field => translation[field] === undefined || isStringList(translation[field]));
+      if (!isValid) {
+        return { exercise: null, error: `translations for "${locale}" are malformed` };
+      }
+    }
+    
+    return {
+      exercise: {
+        id: entry.id,
+        name: entry.name,
+        description: entry.description,
+        instructions: entry.instructions || [],
+        bodyAreas: entry.bodyAreas || [],
+        difficulty: entry.difficulty || 'easy',
+        equipment: entry.equipment || [],
+        unilateral: entry.unilateral,
+        duration: entry.duration,
+        media: entry.media,
+        translations,
+        custom: Boolean(entry.custom),
+        probability: FREQUENCY_LEVELS.nothing.probability,
+        excluded: false
+      },
+      error: null
+    };
+  }
+  
+  /**
+   * Load the bundled exercise catalog into the pool, skipping bad entries
+   * @return {Promise} Resolves once the pool is filled (possibly empty)
+   */
+  function loadCatalog() {
+    return fetch(CATALOG.URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(catalog => {
+        if (!catalog || !Array.isArray(catalog.exercises)) {
+          throw new Error('catalog has no exercises list');
+        }
+        if (catalog.version > CATALOG.VERSION) {
+          console.warn(`Exercise catalog version ${catalog.version} is newer than supported (${CATALOG.VERSION})`);
+        }
+        
+        const ids = new Set();
+        exercisesPool = [];
+        
+        catalog.exercises.forEach((entry, index) => {
+          const { exercise, error } = validateCatalogEntry(entry);
+          if (error) {
+            console.warn(`Skipping exercise #${index + 1}: ${error}`);
+            return;
+          }
+          if (ids.has(exercise.id)) {
+            console.warn(`Skipping exercise #${index + 1}: duplicate id "${exercise.id}"`);
+            return;
+          }
+          ids.add(exercise.id);
+          exercisesPool.push(exercise);
+        });
+      })
+      .catch(error => {
+        console.error('Exercise catalog loading error:', error);
+        utils.showToast(t('toast.catalogFailed'));
+      });
+  }
+  
+  // CUSTOM EXERCISES & ROUTINES
+  /**
+   * Add the user's stored custom exercises to the pool
+   */
+  function loadCustomExercises() {
+    const stored = storage.get(STORAGE_KEYS.customExercises, []);
+    
+    exercisesPool = exercisesPool.filter(exercise => !exercise.custom);
+    stored.forEach(entry => {
+      const { exercise, error } = validateCatalogEntry({ ...entry, custom: true });
+      if (error || exercisesPool.some(e => e.id === exercise.id)) {
+        console.warn(`Skipping custom exercise "${entry && entry.name}": ${error || 'duplicate id'}`);
+        return;
+      }
+      exercisesPool.push(exercise);
+    });
+  }
+  
+  /**
+   * Create or update a custom exercise and persist it
+   * @param {Object} entry - { id, name, description, unilateral, duration, media }
+   * @return {Object|null} The pool item, or null when the entry is invalid
+   */
+  function saveCustomExercise(entry) {
+    const { exercise, error } = validateCatalogEntry({ ...entry, custom: true });
+    if (error) return null;
+    
+    // An edited exercise keeps its place in the list
+    const stored = storage.get(STORAGE_KEYS.customExercises, []);
+    const index = stored.findIndex(item => item.id === exercise.id);
+    if (index === -1) {
+      stored.push(entry);
+    } else {
+      stored[index] = entry;
+    }
+    
+    if (!storage.set(STORAGE_KEYS.customExercises, stored)) {
+      utils.showToast(t('toast.storageFull'));
+      return null;
+    }
+    
+    // Keep preferences of an edited exercise
+    const existing = exercisesPool.find(e => e.id === exercise.id);
+    if (existing) {
+      Object.assign(existing, { ...exercise, probability: existing.probability, excluded: existing.excluded });
+      return existing;
+    }
+    exercisesPool.push(exercise);
+    return exercise;
+  }
+  
+  /**
+   * Remove a custom exercise everywhere it is referenced
+   * @param {string} id - Exercise id
+   */
+  function deleteCustomExercise(id) {
+    storage.set(STORAGE_KEYS.customExercises,
+      storage.get(STORAGE_KEYS.customExercises, []).filter(item => item.id !== id));
+    exercisesPool = exercisesPool.filter(exercise => exercise.id !== id);
+    
+    const preferences = storage.get(STORAGE_KEYS.preferences, {});
+    delete preferences[id];
+    storage.set(STORAGE_KEYS.preferences, preferences);
+    
+    getRoutines().forEach(routine => {
+      if (routine.exerciseIds.includes(id)) {
+        saveRoutine({ ...routine, exerciseIds: routine.exerciseIds.filter(exerciseId => exerciseId !== id) });
+      }
+    });
+  }
+  
+  /**
+   * Read an image file and scale it down to a JPEG data URL
+   * @param {File} file - Image chosen by the user
+   * @param {number} maxSize - Longest side in pixels
+   * @return {Promise<string>} Data URL
+   */
+  function readImageFile(file, maxSize) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onerror = () => reject(reader.error);
+      reader.onload = () => {
+        const img = new Image();
+        img.onerror = () => reject(new Error('Unsupported image'));
+        img.onload = () => {
+          const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+          const canvas = document.createElement('canvas');
+          canvas.width = Math.round(img.width * scale);
+          canvas.height = Math.round(img.height * scale);
+          canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+          resolve(canvas.toDataURL('image/jpeg', 0.8));
+        };
+        img.src = reader.result;
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+  
+  function updateCustomImagePreview() {
+    const preview = state.elements.customImagePreview;
+    preview.hidden = !state.pendingCustomImage;
+    preview.src = state.pendingCustomImage || '';
+  }
+  
+  /**
+   * @return {Array} Stored routines as { id, name, exerciseIds }
+   */
+  function getRoutines() {
+    const routines = storage.get(STORAGE_KEYS.routines, []);
+    return Array.isArray(routines) ? routines : [];
+  }
+  
+  /**
+   * Create or update a routine
+   * @param {Object} routine - { id, name, exerciseIds }
+   */
+  function saveRoutine(routine) {
+    const routines = getRoutines();
+    const index = routines.findIndex(r => r.id === routine.id);
+    if (index === -1) {
+      routines.push(routine);
+    } else {
+      routines[index] = routine;
+    }
+    storage.set(STORAGE_KEYS.routines, routines);
+  }
+  
+  /**
+   * Delete a routine, falling back to random selection if it was in use
+   * @param {string} id - Routine id
+   */
+  function deleteRoutine(id) {
+    storage.set(STORAGE_KEYS.routines, getRoutines().filter(r => r.id !== id));
+    if (state.settings.activeRoutineId === id) {
+      updateSettings({ activeRoutineId: null });
+    }
+  }
+  
+  /**
+   * Build an editor list row with a label and action buttons
+   * @param {string} label - Row title
+   * @param {string} details - Secondary line
+   * @param {Array} actions - Buttons as { label, ariaLabel, onSelect }
+   * @return {HTMLElement} List item
+   */
+  function createEditorRow(label, details, actions) {
+    const li = document.createElement("li");
+    
+    const name = document.createElement("span");
+    name.className = 'preference-name';
+    name.textContent = label;
+    
+    const small = document.createElement("small");
+    small.className = 'preference-details';
+    small.textContent = details;
+    name.appendChild(small);
+    li.appendChild(name);
+    
+    actions.forEach(action => {
+      const button = document.createElement("button");
+      button.type = 'button';
+      button.textContent = action.label;
+      button.setAttribute('aria-label', action.ariaLabel || action.label);
+      button.addEventListener('click', action.onSelect);
+      li.appendChild(button);
+    });
+    
+    return li;
+  }
+  
+  function renderCustomEditor() {
+    const exerciseList = state.elements.customExerciseList;
+    exerciseList.innerHTML = "";
+    
+    const customExercises = exercisesPool.filter(exercise => exercise.custom);
+    if (customExercises.length === 0) {
+      const empty = document.createElement("li");
+      empty.textContent = t('editor.noCustomExercises');
+      exerciseList.appendChild(empty);
+    }
+    customExercises.forEach(exercise => {
+      const seconds = exercise.duration || state.settings.exerciseDuration;
+      const details = t(exercise.unilateral ? 'editor.secondsPerSide' : 'editor.seconds', { count: seconds });
+      exerciseList.appendChild(createEditorRow(exercise.name, details, [
+        { label: t('common.edit'), ariaLabel: t('editor.editLabel', { name: exercise.name }), onSelect: () => handlers.editCustomExercise(exercise.id) },
+        { label: t('common.delete'), ariaLabel: t('editor.deleteLabel', { name: exercise.name }), onSelect: () => handlers.deleteCustomExercise(exercise.id) }
+      ]));
+    });
+    
+    const routineList = state.elements.routineList;
+    routineList.innerHTML = "";
+    
+    const isRandom = !getRoutines().some(r => r.id === state.settings.activeRoutineId);
+    const randomRow = createEditorRow(t('editor.randomSelection'), t('editor.randomDetails'), [
+      { label: t(isRandom ? 'editor.inUse' : 'editor.use'), ariaLabel: t('editor.useRandomLabel'), onSelect: () => handlers.useRoutine(null) }
+    ]);
+    randomRow.classList.toggle('active-routine', isRandom);
+    routineList.appendChild(randomRow);
+    
+    getRoutines().forEach(routine => {
+      const isActive = routine.id === state.settings.activeRoutineId;
+      const names = routine.exerciseIds
+        .map(id => exercisesPool.find(exercise => exercise.id === id))
+        .filter(Boolean)
+        .map(exercise => exerciseText(exercise).name);
+      
+      const row = createEditorRow(routine.name, names.join(' · ') || t('editor.noExercises'), [
+        { label: t(isActive ? 'editor.inUse' : 'editor.use'), ariaLabel: t('editor.useLabel', { name: routine.name }), onSelect: () => handlers.useRoutine(routine.id) },
+        { label: t('common.edit'), ariaLabel: t('editor.editLabel', { name: routine.name }), onSelect: () => handlers.editRoutine(routine.id) },
+        { label: t('common.delete'), ariaLabel: t('editor.deleteLabel', { name: routine.name }), onSelect: () => handlers.deleteRoutine(routine.id) }
+      ]);
+      row.classList.toggle('active-routine', isActive);
+      routineList.appendChild(row);
+    });
+  }
+  
+  /**
+   * Render the routine form's exercise checkboxes. Selected exercises are
+   * listed first, in routine order, followed by the rest of the pool.
+   * @param {Array} selectedIds - Exercise ids already in the routine
+   */
+  function renderRoutineOptions(selectedIds) {
+    const container = state.elements.routineExerciseOptions;
+    container.innerHTML = "";
+    
+    const selected = selectedIds
+      .map(id => exercisesPool.find(exercise => exercise.id === id))
+      .filter(Boolean);
+    const others = exercisesPool.filter(exercise => !selectedIds.includes(exercise.id));
+    
+    [...selected, ...others].forEach(exercise => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = 'checkbox';
+      checkbox.value = exercise.id;
+      checkbox.checked = selectedIds.includes(exercise.id);
+      label.append(checkbox, exerciseText(exercise).name);
+      container.appendChild(label);
+    });
+  }
+  
+  // EXERCISE PREFERENCES
+  /**
+   * Apply stored per-exercise preferences (keyed by exercise id) to the pool
+   */
+  function loadPreferences() {
+    const preferences = storage.get(STORAGE_KEYS.preferences, {});
+    
+    exercisesPool.forEach(exercise => {
+      // Older versions keyed preferences by exercise name
+      const pref = preferences[exercise.id] || preferences[exercise.name] || {};
+      exercise.probability = (typeof pref.probability === 'number' && pref.probability > 0)
+        ? pref.probability
+        : FREQUENCY_LEVELS.nothing.probability;
+      exercise.excluded = Boolean(pref.excluded);
+    });
+  }
+  
+  /**
+   * Update an exercise's preferences in the pool and persist them
+   * @param {string} id - Exercise id
+   * @param {Object} changes - { probability, excluded } values to change
+   * @return {Object|undefined} The updated pool item
+   */
+  function setExercisePreference(id, changes) {
+    const poolItem = exercisesPool.find(e => e.id === id);
+    if (!poolItem) return undefined;
+    
+    Object.assign(poolItem, changes);
+    
+    const preferences = storage.get(STORAGE_KEYS.preferences, {});
+    delete preferences[poolItem.name];
+    preferences[id] = {
+      probability: poolItem.probability,
+      excluded: Boolean(poolItem.excluded)
+    };
+    storage.set(STORAGE_KEYS.preferences, preferences);
+    
+    return poolItem;
+  }
+  
+  /**
+   * Map an exercise's probability back to its frequency tag
+   * @param {Object} exercise - Pool item
+   * @return {string} "less", "nothing" or "more"
+   */
+  function getFrequencyTag(exercise) {
+    if (exercise.probability > 1) return 'more';
+    if (exercise.probability < 1) return 'less';
+    return 'nothing';
+  }
+  
+  function renderMyExercises() {
+    const list = state.elements.myExercisesList;
+    list.innerHTML = "";
+    
+    exercisesPool.forEach(exercise => {
+      const li = document.createElement("li");
+      li.classList.toggle('excluded', Boolean(exercise.excluded));
+      
+      const name = document.createElement("span");
+      name.className = 'preference-name';
+      const text = exerciseText(exercise);
+      name.textContent = text.name;
+      
+      const details = document.createElement("small");
+      details.className = 'preference-details';
+      details.textContent = [t(`difficulty.${exercise.difficulty}`), ...text.bodyAreas].join(' · ');
+      name.appendChild(details);
+      
+      const tag = getFrequencyTag(exercise);
+      const frequencyButton = document.createElement("button");
+      frequencyButton.textContent = t(`frequency.${tag}`);
+      frequencyButton.setAttribute('data-frequency', tag);
+      frequencyButton.setAttribute('aria-label', t('myExercises.frequencyLabel', { name: text.name, frequency: t(`frequency.${tag}`) }));
+      frequencyButton.disabled = Boolean(exercise.excluded);
+      frequencyButton.addEventListener('click', () => handlers.cycleFrequency(exercise.id));
+      
+      const excludeButton = document.createElement("button");
+      excludeButton.textContent = t(exercise.excluded ? 'myExercises.include' : 'myExercises.exclude');
+      excludeButton.setAttribute('aria-pressed', Boolean(exercise.excluded).toString());
+      excludeButton.setAttribute('aria-label', t(exercise.excluded ? 'myExercises.includeLabel' : 'myExercises.excludeLabel', { name: text.name }));
+      excludeButton.addEventListener('click', () => handlers.toggleExcluded(exercise.id));
+      
+      li.append(name, frequencyButton, excludeButton);
+      list.appendChild(li);
+    });
+  }
+  
+  // SESSION HISTORY
+  /**
+   * Create an empty session log entry for a new work block
+   * @return {Object} Session record
+   */
+  function createSessionRecord() {
+    const now = Date.now();
+    return {
+      id: now.toString(36),
+      startedAt: now,
+      workSeconds: 0,
+      breakStartedAt: null,
+      endedAt: null,
+      segments: [],
+      postponements: [], // { kind: "snooze" | "meeting", at, seconds }
+      skipReason: null,  // Set when the whole break was skipped
+      tags: {}
+    };
+  }
+  
+  /**
+   * Add the time since a segment was paused to its paused total
+   * @param {Object} segment - Exercise segment
+   */
+  function endSegmentPause(segment) {
+    if (segment && segment.pausedAt) {
+      segment.pausedSeconds = (segment.pausedSeconds || 0) + (Date.now() - segment.pausedAt) / 1000;
+      segment.pausedAt = null;
+    }
+  }
+  
+  /**
+   * Mark how a segment ended and log it in the current session
+   * @param {Object} segment - Exercise segment
+   * @param {string} outcome - "completed" or "skipped"
+   */
+  function recordSegmentOutcome(segment, outcome) {
+    endSegmentPause(segment);
+    segment.status = outcome === 'completed' ? 'done' : 'skipped';
+    
+    if (state.currentSession) {
+      state.currentSession.segments.push({
+        id: segment.id,
+        name: segment.name,
+        side: segment.side,
+        outcome,
+        duration: segment.duration,
+        pausedSeconds: Math.round(segment.pausedSeconds || 0)
+      });
+    }
+  }
+  
+  /**
+   * Close the current session and append it to the history log
+   */
+  function recordSession() {
+    const session = state.currentSession;
+    if (!session) return;
+    
+    session.endedAt = Date.now();
+    
+    const history = getHistory();
+    history.push(session);
+    storage.set(STORAGE_KEYS.history, history.slice(-HISTORY_LIMIT));
+    
+    state.lastSessionId = session.id;
+    state.currentSession = null;
+  }
+  
+  /**
+   * Store a finish-screen tag on the most recently logged session
+   * @param {string} name - Exercise name
+   * @param {string} tag - "more", "less" or "nothing"
+   */
+  function recordSessionTag(name, tag) {
+    const history = getHistory();
+    const session = history.find(entry => entry.id === state.lastSessionId);
+    if (!session) return;
+    
+    if (tag === 'nothing') {
+      delete session.tags[name];
+    } else {
+      session.tags[name] = tag;
+    }
+    storage.set(STORAGE_KEYS.history, history);
+  }
+  
+  function getHistory() {
+    const history = storage.get(STORAGE_KEYS.history, []);
+    return Array.isArray(history) ? history : [];
+  }
+  
+  /**
+   * Local calendar day key (YYYY-MM-DD) for a timestamp
+   * @param {number|Date} time - Timestamp or date
+   * @return {string} Day key
+   */
+  function dayKey(time) {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+  
+  /**
+   * Summarize the history log per day
+   * @param {Array} history - Session records
+   * @return {Object} Map of day key to { breaks, movementSeconds }
+   */
+  function summarizeDays(history) {
+    const days = {};
+    
+    history.forEach(session => {
+      const completed = session.segments.filter(segment => segment.outcome === 'completed');
+      if (completed.length === 0) return; // Fully skipped breaks don't count
+      
+      const key = dayKey(session.breakStartedAt || session.startedAt);
+      if (!days[key]) {
+        days[key] = { breaks: 0, movementSeconds: 0 };
+      }
+      days[key].breaks++;
+      days[key].movementSeconds += completed.reduce((sum, segment) => sum + (segment.duration || 0), 0);
+    });
+    
+    return days;
+  }
+  
+  /**
+   * Count consecutive days with at least one break
+   * @param {Object} days - Output of summarizeDays
+   * @return {Object} { current, best } streak lengths in days
+   */
+  function calculateStreaks(days) {
+    const keys = Object.keys(days).sort();
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    
+    keys.forEach(key => {
+      const date = new Date(`${key}T12:00:00`);
+      const isNextDay = previous && Math.round((date - previous) / 86400000) === 1;
+      run = isNextDay ? run + 1 : 1;
+      best = Math.max(best, run);
+      previous = date;
+    });
+    
+    // The current streak is still alive if the last break was today or yesterday
+    const today = new Date();
+    const yesterday = new Date(today);
+    yesterday.setDate(today.getDate() - 1);
+    const lastKey = keys[keys.length - 1];
+    const current = (lastKey === dayKey(today) || lastKey === dayKey(yesterday)) ? run : 0;
+    
+    return { current, best };
+  }
+  
+  function renderStats() {
+    const days = summarizeDays(getHistory());
+    const streaks = calculateStreaks(days);
+    
+    // Last 7 days, oldest first
+    const week = [];
+    for (let i = 6; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(date.getDate() - i);
+      week.push({ date, ...(days[dayKey(date)] || { breaks: 0, movementSeconds: 0 }) });
+    }
+    
+    const today = week[week.length - 1];
+    const weekBreaks = week.reduce((sum, day) => sum + day.breaks, 0);
+    const weekSeconds = week.reduce((sum, day) => sum + day.movementSeconds, 0);
+    
+    const tiles = [
+      { value: today.breaks, label: t('stats.breaksToday') },
+      { value: Math.round(today.movementSeconds / 60), label: t('stats.minutesToday') },
+      { value: weekBreaks, label: t('stats.breaksWeek') },
+      { value: Math.round(weekSeconds / 60), label: t('stats.minutesWeek') },
+      { value: streaks.current, label: t('stats.streak') },
+      { value: streaks.best, label: t('stats.bestStreak') }
+    ];
+    
+    const summary = state.elements.statsSummary;
+    summary.innerHTML = "";
+    tiles.forEach(tile => {
+      const div = document.createElement("div");
+      div.className = 'stat-tile';
+      
+      const value = document.createElement("span");
+      value.className = 'stat-value';
+      value.textContent = formatNumber(tile.value);
+      
+      const label = document.createElement("span");
+      label.className = 'stat-label';
+      label.textContent = tile.label;
+      
+      div.append(value, label);
+      summary.appendChild(div);
+    });
+    
+    const maxBreaks = Math.max(1, ...week.map(day => day.breaks));
+    const list = state.elements.statsWeek;
+    list.innerHTML = "";
+    week.forEach(day => {
+      const li = document.createElement("li");
+      
+      const name = document.createElement("span");
+      name.className = 'stats-day';
+      name.textContent = day.date.toLocaleDateString(state.locale, { weekday: 'short' });
+      
+      const track = document.createElement("div");
+      track.className = 'stats-bar-track';
+      const bar = document.createElement("div");
+      bar.className = 'stats-bar';
+      bar.style.width = `${(day.breaks / maxBreaks) * 100}%`;
+      track.appendChild(bar);
+      
+      const detail = document.createElement("span");
+      detail.className = 'stats-detail';
+      const minutes = Math.round(day.movementSeconds / 60);
+      detail.textContent = t('stats.dayDetail', { breaks: day.breaks, minutes });
+      
+      li.setAttribute('aria-label', t('stats.dayLabel', {
+        day: name.textContent,
+        breaks: t('stats.breaks', { count: day.breaks }),
+        minutes: t('stats.minutes', { count: minutes })
+      }));
+      li.append(name, track, detail);
+      list.appendChild(li);
+    });
+  }
+  
+  // EXPORT & IMPORT
+  /**
+   * Bundle settings, exercise preferences and history into a versioned object
+   * @return {Object} Export data
+   */
+  function createExport() {
+    return {
+      format: EXPORT_FORMAT.NAME,
+      version: EXPORT_FORMAT.VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: state.settings,
+      preferences: storage.get(STORAGE_KEYS.preferences, {}),
+      customExercises: storage.get(STORAGE_KEYS.customExercises, []),
+      routines: getRoutines(),
+      history: getHistory()
+    };
+  }
+  
+  /**
+   * Quote a value for CSV output when needed. Text that a spreadsheet would
+   * read as a formula (e.g. a custom exercise named "=1+1") gets a leading
+   * apostrophe.
+   * @param {*} value - Cell value
+   * @return {string} CSV cell
+   */
+  function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+  
+  /**
+   * One CSV row per logged session
+   * @param {Array} history - Session records
+   * @return {string} CSV text
+   */
+  function createSessionsCsv(history) {
+    const toIso = (time) => time ? new Date(time).toISOString() : '';
+    const header = [
+      'session_id', 'started_at', 'break_started_at', 'ended_at', 'work_minutes',
+      'completed_segments', 'skipped_segments', 'movement_seconds', 'paused_seconds',
+      'postponements', 'postponed_minutes', 'skip_reason', 'exercises', 'tags'
+    ];
+    
+    const rows = history.map(session => {
+      const completed = session.segments.filter(segment => segment.outcome === 'completed');
+      const skipped = session.segments.filter(segment => segment.outcome === 'skipped');
+      const exercises = session.segments.map(segment =>
+        `${segment.name}${segment.side ? ` (${segment.side})` : ''}: ${segment.outcome}`);
+      const tags = Object.keys(session.tags || {}).map(name => `${name}: ${session.tags[name]}`);
+      const postponements = session.postponements || [];
+      
+      return [
+        session.id,
+        toIso(session.startedAt),
+        toIso(session.breakStartedAt),
+        toIso(session.endedAt),
+        Math.round((session.workSeconds || 0) / 60),
+        completed.length,
+        skipped.length,
+        completed.reduce((sum, segment) => sum + (segment.duration || 0), 0),
+        session.segments.reduce((sum, segment) => sum + (segment.pausedSeconds || 0), 0),
+        postponements.length,
+        Math.round(postponements.reduce((sum, entry) => sum + (entry.seconds || 0), 0) / 60),
+        session.skipReason || '',
+        exercises.join('; '),
+        tags.join('; ')
+      ];
+    });
+    
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+  }
+  
+  /**
+   * Check imported data against the export schema
+   * @param {*} data - Parsed JSON
+   * @return {Array} Human readable error messages (empty when valid)
+   */
+  function validateImport(data) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    
+    if (!isObject(data) || data.format !== EXPORT_FORMAT.NAME) {
+      return [t('import.notExport')];
+    }
+    if (typeof data.version !== 'number' || data.version > EXPORT_FORMAT.VERSION) {
+      return [t('import.unsupportedVersion', { version: String(data.version) })];
+    }
+    
+    if (!isObject(data.settings)) {
+      errors.push(t('import.settingsObject'));
+    } else {
+      Object.keys(SETTINGS_LIMITS).forEach(key => {
+        const value = data.settings[key];
+        if (value !== undefined && (typeof value !== 'number' || !isFinite(value))) {
+          errors.push(t('import.settingNumber', { key }));
+        }
+      });
+    }
+    
+    if (!isObject(data.preferences)) {
+      errors.push(t('import.preferencesObject'));
+    } else {
+      Object.keys(data.preferences).forEach(name => {
+        const pref = data.preferences[name];
+        if (!isObject(pref) || typeof pref.probability !== 'number' || pref.probability <= 0) {
+          errors.push(t('import.preferenceProbability', { name }));
+        }
+      });
+    }
+    
+    // Custom exercises and routines are optional (older exports lack them)
+    if (data.customExercises !== undefined && !Array.isArray(data.customExercises)) {
+      errors.push(t('import.customExercisesList'));
+    } else {
+      (data.customExercises || []).forEach((entry, index) => {
+        const { error } = validateCatalogEntry(entry);
+        if (error) {
+          errors.push(t('import.customExercise', { number: index + 1, error }));
+        }
+      });
+    }
+    
+    if (data.routines !== undefined && !(Array.isArray(data.routines) && data.routines.every(routine =>
+      isObject(routine) && typeof routine.id === 'string' && typeof routine.name === 'string' &&
+      Array.isArray(routine.exerciseIds)))) {
+      errors.push(t('import.routinesList'));
+    }
+    
+    if (!Array.isArray(data.history)) {
+      errors.push(t('import.historyList'));
+    } else {
+      data.history.forEach((session, index) => {
+        const isValid = isObject(session) &&
+          typeof session.id === 'string' &&
+          typeof session.startedAt === 'number' &&
+          Array.isArray(session.segments) &&
+          session.segments.every(segment => isObject(segment) &&
+            typeof segment.name === 'string' &&
+            ['completed', 'skipped'].includes(segment.outcome));
+        if (!isValid) {
+          errors.push(t('import.sessionMalformed', { number: index + 1 }));
+        }
+      });
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Store validated import data and reload it into the app
+   * @param {Object} data - Validated export data
+   * @param {string} mode - "merge" keeps local data, "replace" discards it
+   */
+  function applyImport(data, mode) {
+    let history = data.history;
+    let preferences = data.preferences;
+    let settings = data.settings;
+    let customExercises = data.customExercises || [];
+    let routines = data.routines || [];
+    
+    // Merge entries of a list by id, imported entries winning
+    const mergeById = (local, imported) => {
+      const entries = new Map(local.map(entry => [entry.id, entry]));
+      imported.forEach(entry => entries.set(entry.id, entry));
+      return [...entries.values()];
+    };
+    
+    if (mode === 'merge') {
+      // Imported values win; sessions are matched by id
+      history = mergeById(getHistory(), data.history).sort((a, b) => a.startedAt - b.startedAt);
+      customExercises = mergeById(storage.get(STORAGE_KEYS.customExercises, []), customExercises);
+      routines = mergeById(getRoutines(), routines);
+      preferences = { ...storage.get(STORAGE_KEYS.preferences, {}), ...data.preferences };
+      settings = { ...state.settings, ...data.settings };
+    }
+    
+    const writes = [
+      [STORAGE_KEYS.history, history.slice(-HISTORY_LIMIT)],
+      [STORAGE_KEYS.preferences, preferences],
+      [STORAGE_KEYS.settings, settings],
+      [STORAGE_KEYS.customExercises, customExercises],
+      [STORAGE_KEYS.routines, routines]
+    ];
+    const previous = writes.map(([key]) => [key, storage.get(key, null)]);
+    
+    // Storage may run out (custom exercise images are data URLs); put the
+    // earlier data back rather than keep half an import
+    if (!writes.every(([key, value]) => storage.set(key, value))) {
+      previous.forEach(([key, value]) => {
+        if (value === null) {
+          storage.remove(key);
+        } else {
+          storage.set(key, value);
+        }
+      });
+      utils.showModal({
+        title: t('import.failed'),
+        message: t('import.storageFull'),
+        actions: [{ label: t('common.ok') }]
+      });
+      return;
+    }
+    
+    loadSettings();
+    loadCustomExercises();
+    loadPreferences();
+    applySettings();
+    renderSettings();
+    
+    utils.showToast(t(mode === 'merge' ? 'toast.dataMerged' : 'toast.dataReplaced'));
+  }
+  
+  // SESSION PERSISTENCE
+  /**
+   * Describe a countdown so it can be restored later. Running countdowns are
+   * stored by end timestamp so time keeps passing while the app is closed.
+   * @param {Object} countdown - Countdown created by createCountdown
+   * @param {boolean} paused - Whether the countdown is paused
+   * @return {Object} Serializable countdown snapshot
+   */
+  function snapshotCountdown(countdown, paused) {
+    return {
+      paused,
+      duration: countdown.duration,
+      remaining: countdown.getRemaining(),
+      endTime: paused ? null : countdown.getEndTime()
+    };
+  }
+  
+  /**
+   * Work out how many seconds a stored countdown has left right now
+   * @param {Object} snapshot - Countdown snapshot
+   * @return {number} Seconds remaining (never negative)
+   */
+  function remainingFromSnapshot(snapshot) {
+    if (!snapshot.paused && snapshot.endTime) {
+      return Math.max(0, Math.ceil((snapshot.endTime - Date.now()) / 1000));
+    }
+    return Math.max(0, snapshot.remaining);
+  }
+  
+  function saveSession() {
+    let snapshot = null;
+    
+    if (state.currentPage === 'timerSection' && state.workCountdown) {
+      snapshot = {
+        page: 'timerSection',
+        work: snapshotCountdown(state.workCountdown, state.timerIsPaused)
+      };
+    } else if (state.currentPage === 'exerciseSection' && state.exerciseCountdown) {
+      snapshot = {
+        page: 'exerciseSection',
+        exercise: {
+          ...snapshotCountdown(state.exerciseCountdown, state.isPaused),
+          phase: state.exercisePhase,
+          segments: state.exerciseSegments,
+          index: state.currentExerciseIndex,
+          completed: state.completedExercises
+        }
+      };
+    }
+    
+    if (!snapshot) {
+      clearSession();
+      return;
+    }
+    
+    storage.set(STORAGE_KEYS.session, {
+      version: SESSION_SNAPSHOT.VERSION,
+      savedAt: Date.now(),
+      record: state.currentSession,
+      ...snapshot
+    });
+  }
+  
+  function clearSession() {
+    storage.remove(STORAGE_KEYS.session);
+  }
+  
+  /**
+   * Load the stored session snapshot if it is still usable
+   * @return {Object|null} Snapshot or null
+   */
+  function loadSession() {
+    const snapshot = storage.get(STORAGE_KEYS.session);
+    if (!snapshot) return null;
+    
+    const isValid = snapshot.version === SESSION_SNAPSHOT.VERSION &&
+      Date.now() - snapshot.savedAt < SESSION_SNAPSHOT.MAX_AGE &&
+      ((snapshot.page === 'timerSection' && snapshot.work) ||
+       (snapshot.page === 'exerciseSection' && snapshot.exercise &&
+        Array.isArray(snapshot.exercise.segments) &&
+        snapshot.exercise.index < snapshot.exercise.segments.length));
+    
+    if (!isValid) {
+      clearSession();
+      return null;
+    }
+    return snapshot;
+  }
+  
+  function restoreSession(snapshot) {
+    state.currentSession = snapshot.record || createSessionRecord();
+    
+    if (snapshot.page === 'timerSection') {
+      utils.showPage('timerSection');
+      startTimer({
+        duration: snapshot.work.duration,
+        remaining: remainingFromSnapshot(snapshot.work),
+        paused: snapshot.work.paused
+      });
+    } else {
+      const exercise = snapshot.exercise;
+      state.exerciseSegments = exercise.segments;
+      state.currentExerciseIndex = exercise.index;
+      state.completedExercises = exercise.completed || [];
+      utils.showPage('exerciseSection');
+      startExerciseSegment({
+        phase: exercise.phase,
+        duration: exercise.duration,
+        remaining: remainingFromSnapshot(exercise),
+        paused: exercise.paused
+      });
+    }
+    utils.showToast(t('toast.sessionResumed'));
+  }
+  
+  /**
+   * Ask whether to continue an interrupted session
+   * @return {boolean} Whether there was a session to offer
+   */
+  function offerSessionResume() {
+    const snapshot = loadSession();
+    if (!snapshot) return false;
+    
+    const message = snapshot.page === 'timerSection'
+      ? t('resume.timerMessage', { time: utils.formatTime(remainingFromSnapshot(snapshot.work)) })
+      : t('resume.exerciseMessage', { number: snapshot.exercise.index + 1, total: snapshot.exercise.segments.length });
+    
+    utils.showModal({
+      title: t('resume.title'),
+      message,
+      actions: [
+        { label: t('button.resume'), onSelect: () => restoreSession(snapshot) },
+        { label: t('resume.startOver'), onSelect: () => { clearSession(); checkSchedule(); } }
+      ]
+    });
+    return true;
+  }
+  
+  /**
+   * Carry out a notification action that opened the app (see sw.js). The
+   * work block whose break is due is restored without asking first.
+   * @param {string} action - "start-break" or "snooze"
+   * @return {boolean} Whether there was a work block to act on
+   */
+  function runLaunchAction(action) {
+    const snapshot = loadSession();
+    if (!snapshot || snapshot.page !== 'timerSection') return false;
+    
+    restoreSession(snapshot);
+    
+    // The block ran out while the app was closed
+    stopCountdown(state.workCountdown);
+    state.breakDue = true;
+    state.breakDueAt = Date.now();
+    runNotificationAction(action);
+    return true;
+  }
+  
+  // SERVICE WORKER & UPDATES
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    // Notification actions are relayed by the service worker
+    navigator.serviceWorker.addEventListener('message', handlers.handleWorkerMessage);
+    
+    navigator.serviceWorker.register('sw.js')
+      .then(registration => {
+        // An update may already be waiting from an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          handleUpdateWaiting(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          if (!worker) return;
+          
+          worker.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+              handleUpdateWaiting(worker);
+            }
+          });
+        });
+      })
+      .catch(error => {
+        console.warn('Service worker registration failed:', error);
+      });
+    
+    // Reload once the accepted update has taken control
+    let isReloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!state.updateAccepted || isReloading) return;
+      isReloading = true;
+      saveSession();
+      window.location.reload();
+    });
+  }
+  
+  /**
+   * Let the user know a new version is installed and waiting
+   * @param {ServiceWorker} worker - The waiting service worker
+   */
+  function handleUpdateWaiting(worker) {
+    state.waitingWorker = worker;
+    utils.showToast(t('update.available'), 15000, {
+      label: t('update.reload'),
+      onSelect: () => {
+        state.updateAccepted = true;
+        applyUpdateWhenIdle(true);
+      }
+    });
+  }
+  
+  /**
+   * @return {boolean} Whether a work or exercise countdown is ticking
+   */
+  function isCountdownRunning() {
+    return Boolean((state.workCountdown && state.workCountdown.isRunning()) ||
+      (state.exerciseCountdown && state.exerciseCountdown.isRunning()));
+  }
+  
+  /**
+   * Activate an accepted update, unless a timer or exercise is running.
+   * Called again when the user pauses or finishes, so a deferred update
+   * installs at the next quiet moment.
+   * @param {boolean} [isUserRequest] - Explain the deferral when true
+   */
+  function applyUpdateWhenIdle(isUserRequest = false) {
+    if (!state.updateAccepted || !state.waitingWorker) return;
+    
+    if (isCountdownRunning()) {
+      if (isUserRequest) {
+        utils.showToast(t('update.deferred'));
+      }
+      return;
+    }
+    
+    state.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }
+  
+  // NOTIFICATIONS
+  /**
+   * @return {boolean} Whether break notifications are enabled and allowed
+   */
+  function canNotify() {
+    return state.settings.notificationsEnabled &&
+      'Notification' in window &&
+      'serviceWorker' in navigator &&
+      Notification.permission === 'granted';
+  }
+  
+  /**
+   * @param {number} [showAt] - Let the system show it at this time (see scheduleBreakNotification)
+   */
+  function showBreakNotification(showAt) {
+    const options = {
+      body: t('notification.body'),
+      icon: 'icons/icon-192x192.png',
+      badge: 'icons/icon-96x96.png',
+      tag: BREAK_NOTIFICATION.TAG,
+      renotify: true,
+      requireInteraction: true,
+      actions: [
+        { action: 'start-break', title: t('notification.startBreak') },
+        { action: 'snooze', title: t('notification.snooze', { count: Math.round(DEFAULTS.SNOOZE_DURATION / 60) }) }
+      ]
+    };
+    if (showAt) options.showTrigger = new TimestampTrigger(showAt);
+    
+    navigator.serviceWorker.ready
+      .then(registration => registration.showNotification(t('notification.title'), options))
+      .catch(error => {
+        console.warn('Notification failed:', error);
+      });
+  }
+  
+  /**
+   * Have the system show the break notification when the work countdown
+   * runs out, even if the hidden app is suspended by then. Needs
+   * Notification Triggers; without them only a running page notifies
+   * (see handleTimerComplete).
+   */
+  function scheduleBreakNotification() {
+    if (!canNotify() || !('showTrigger' in Notification.prototype) || !('TimestampTrigger' in window)) return;
+    
+    const countdown = state.workCountdown;
+    if (state.currentPage !== 'timerSection' || !countdown || state.timerIsPaused || state.breakDue) return;
+    
+    showBreakNotification(Date.now() + countdown.getRemaining() * 1000);
+  }
+  
+  /**
+   * Remove a break notification that is no longer relevant, including a
+   * scheduled one that hasn't been shown yet
+   */
+  function closeBreakNotification() {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+    
+    navigator.serviceWorker.ready
+      .then(registration => registration.getNotifications({ tag: BREAK_NOTIFICATION.TAG, includeTriggered: true }))
+      .then(notifications => notifications.forEach(notification => notification.close()))
+      .catch(error => {
+        console.warn('Could not close notification:', error);
+      });
+  }
+  
+  // INITIALIZATION
+  function init() {
+    loadSettings();
+    applyTheme();
+    watchThemePreferences();
+    cacheElements();
+    attachEventListeners();
+    
+    // Set initial ARIA states
+    utils.setAriaState(state.elements.learnMoreButton, 'aria-expanded', false);
+    
+    registerServiceWorker();
+    
+    // Everything below shows text, so it waits for the messages
+    applyLanguage().then(() => {
+      // Exercises come from the catalog; images are preloaded once it's in
+      loadCatalog().then(() => {
+        loadCustomExercises();
+        loadPreferences();
+        preloadImages();
+      });
+      
+      // A notification action may have opened the app (see sw.js)
+      const launchAction = new URLSearchParams(window.location.search).get('action');
+      if (launchAction) {
+        history.replaceState(null, '', window.location.pathname);
+      }
+      
+      // Continue into the next work session if an update interrupted it,
+      // carry out the notification action, or otherwise offer to pick up
+      // an interrupted session
+      if (sessionStorage.getItem(STORAGE_KEYS.startAfterUpdate)) {
+        sessionStorage.removeItem(STORAGE_KEYS.startAfterUpdate);
+        handlers.startApp();
+      } else if (!(launchAction && runLaunchAction(launchAction)) && !offerSessionResume()) {
+        checkSchedule();
+      }
+      
+      // Working hours may begin (or lunch end) while the app is open
+      setInterval(checkSchedule, SCHEDULE_CHECK_INTERVAL);
+      
+      if (state.settings.awayThreshold > 0) {
+        startAwayDetection();
+      }
+    });
   }
   
   // Initialize the app when DOM is ready
@@ -0,0 +1,120 @@
+// Generated by scripts/generate-precache.js - do not edit by hand.
+self.PRECACHE_MANIFEST = {
+  "version": "16fa5b4018",
+  "required": [
+    {
+      "url": "./index.html",
+      "revision": "59a1bea6a84e"
+    },
+    {
+      "url": "./offline.html",
+      "revision": "73b0453f405b"
+    },
+    {
+      "url": "./styles.css",
+      "revision": "62522132516b"
+    },
+    {
+      "url": "./app.js",
+      "revision": "e313238a540d"
+    },
+    {
+      "url": "./exercises.json",
+      "revision": "64f2b86acbe8"
+    },
+    {
+      "url": "./locales/en.json",
+      "revision": "e2dc86b4bb98"
+    },
+    {
+      "url": "./locales/de.json",
+      "revision": "d15214f63178"
+    },
+    {
+      "url": "./manifest.json",
+      "revision": "e1b331c8c467"
+    },
+    {
+      "url": "./logo.png",
+      "revision": "091d6adaf810"
+    },
+    {
+      "url": "./monogram.png",
+      "revision": "b74db908fe2f"
+    },
+    {
+      "url": "./media/placeholder.svg",
+      "revision": "04825c77e0af"
+    }
+  ],
+  "optional": [
+    {
+      "url": "./icons/apple-touch-icon.png",
+      "revision": "d10f0c0c77d2"
+    },
+    {
+      "url": "./icons/icon-128x128.png",
+      "revision": "88a8d30e7234"
+    },
+    {
+      "url": "./icons/icon-144x144.png",
+      "revision": "6c434ea7d4ed"
+    },
+    {
+      "url": "./icons/icon-152x152.png",
+      "revision": "863ef81a3484"
+    },
+    {
+      "url": "./icons/icon-192x192.png",
+      "revision": "f20d9a64d301"
+    },
+    {
+      "url": "./icons/icon-384x384.png",
+      "revision": "e6a922746956"
+    },
+    {
+      "url": "./icons/icon-512x512.png",
+      "revision": "d274d560c155"
+    },
+    {
+      "url": "./icons/icon-72x72.png",
+      "revision": "ee5353b3d1e6"
+    },
+    {
+      "url": "./icons/icon-96x96.png",
+      "revision": "9b90d9d21690"
+    },
+    {
+      "url": "./media/neck-tilts-rotations.svg",
+      "revision": "3a59439bc691"
+    },
+    {
+      "url": "./media/shoulder-rolls.svg",
+      "revision": "221cf93e36d7"
+    },
+    {
+      "url": "./media/single-leg-balance-toe-taps.svg",
+      "revision": "ffc1cb431d0e"
+    },
+    {
+      "url": "./media/standing-figure-4-stretch.svg",
+      "revision": "d064342eb62b"
+    },
+    {
+      "url": "./media/standing-hip-circles.svg",
+      "revision": "676c1c2ef462"
+    },
+    {
+      "url": "./media/standing-lateral-leg-raises.svg",
+      "revision": "4eac2de5e9f6"
+    },
+    {
+      "url": "./media/thoracic-extension.svg",
+      "revision": "4b895bf8d00e"
+    },
+    {
+      "url": "./media/wall-angels.svg",
+      "revision": "0badc96fc3ab"
+    }
+  ]
+};
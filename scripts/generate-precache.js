@@ -0,0 +1,78 @@
+/**
+ * Generates precache-manifest.js for the service worker.
+ *
+ * Lists the app shell files with a content hash per file and derives the
+ * cache version from those hashes, so every deploy that changes a cached
+ * file gets a fresh cache. Run after changing any file served by the app:
+ *
+ *   node scripts/generate-precache.js
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+
+// Files the app can't start without - the install fails if one is missing
+const REQUIRED = [
+  'index.html',
+  'offline.html',
+  'styles.css',
+  'app.js',
+  'exercises.json',
+  'locales/en.json',
+  'locales/de.json',
+  'manifest.json',
+  'logo.png',
+  'monogram.png',
+  'media/placeholder.svg'
+];
+
+// Directories whose matching files are cached when present
+const OPTIONAL = [
+  { dir: 'icons', pattern: /\.(png|jpg)$/ },
+  { dir: 'media', pattern: /\.(gif|png|jpg|jpeg|webp|svg)$/ }
+];
+
+function hashFile(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(path.join(ROOT, file))).digest('hex').slice(0, 12);
+}
+
+function listOptional() {
+  return OPTIONAL.flatMap(({ dir, pattern }) => {
+    const fullDir = path.join(ROOT, dir);
+    if (!fs.existsSync(fullDir)) return [];
+    return fs.readdirSync(fullDir)
+      .filter(name => pattern.test(name))
+      .sort()
+      .map(name => `${dir}/${name}`)
+      .filter(file => !REQUIRED.includes(file));
+  });
+}
+
+function toEntry(file) {
+  return { url: `./${file}`, revision: hashFile(file) };
+}
+
+const missing = REQUIRED.filter(file => !fs.existsSync(path.join(ROOT, file)));
+if (missing.length > 0) {
+  console.error(`Missing required files: ${missing.join(', ')}`);
+  process.exit(1);
+}
+
+const required = REQUIRED.map(toEntry);
+const optional = listOptional().map(toEntry);
+
+const version = crypto.createHash('sha256')
+  .update([...required, ...optional].map(entry => `${entry.url}@${entry.revision}`).join('\n'))
+  .digest('hex')
+  .slice(0, 10);
+
+const manifest = { version, required, optional };
+
+fs.writeFileSync(OUTPUT,
+  '// Generated by scripts/generate-precache.js - do not edit by hand.\n' +
+  `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`);
+
+console.log(`Wrote precache-manifest.js (version ${version}, ${required.length + optional.length} files)`);
@@ -1,55 +1,132 @@
 // Service Worker for Hagius Active Journey PWA
-const CACHE_NAME = 'hagius-active-journey-v1';
-
-// Assets to cache on install
-const ASSETS_TO_CACHE = [
-  './',
-  './index.html',
-  './styles.css',
-  './app.js',
-  './manifest.json',
-  './logo.png',
-  './monogram.png',
-  './sounds/timer-tick.mp3',
-  './sounds/exercise-complete.mp3',
-  './sounds/transition.mp3',
-  './icons/icon-72x72.png',
-  './icons/icon-96x96.png',
-  './icons/icon-128x128.png',
-  './icons/icon-144x144.png',
-  './icons/icon-152x152.png',
-  './icons/icon-192x192.png',
-  './icons/icon-384x384.png',
-  './icons/icon-512x512.png',
-  './icons/apple-splash-640-1136.jpg',
-  './icons/apple-splash-750-1334.jpg',
-  './icons/apple-splash-828-1792.jpg',
-  './icons/apple-splash-1125-2436.jpg',
-  './icons/apple-splash-1242-2688.jpg',
-  './icons/apple-splash-1536-2048.jpg',
-  './icons/apple-splash-1668-2388.jpg',
-  './icons/apple-splash-2048-2732.jpg'
-];
-
-// Install event - cache all static assets
+
+// Precache list and content-hash version, generated by scripts/generate-precache.js
+importScripts('./precache-manifest.js');
+
+const CACHE_PREFIX = 'hagius-active-journey-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.PRECACHE_MANIFEST.version}`;
+
+// Runtime cache for exercise media (including cross-origin GIFs). It isn't
+// versioned, so it survives deploys, and it's bounded with LRU eviction.
+const MEDIA_CACHE = `${CACHE_PREFIX}media`;
+const MEDIA_CACHE_MAX_ENTRIES = 40;
+
+// Served for navigations that fail while offline and aren't cached
+const OFFLINE_URL = './offline.html';
+
+// Exercise catalog - its media files are cached at install time
+const CATALOG_URL = './exercises.json';
+
+// Requests handled cache-first (besides the precached app shell)
+const MEDIA_DESTINATIONS = ['image', 'audio', 'video'];
+const MEDIA_PATTERN = /\.(gif|png|jpe?g|webp|svg|mp3|mp4)$/i;
+
+// Read the media URLs listed in the exercise catalog
+function getCatalogMedia() {
+  return fetch(CATALOG_URL)
+    .then(response => response.json())
+    .then(catalog => {
+      const media = (catalog.exercises || [])
+        .map(exercise => exercise && exercise.media)
+        .filter(Boolean);
+      return [...new Set(media)];
+    })
+    .catch(error => {
+      console.log('Could not read exercise catalog:', error);
+      return [];
+    });
+}
+
+// Drop the least recently used media entries beyond the size limit.
+// Cache keys keep insertion order and every hit re-inserts its entry,
+// so the oldest keys are the least recently used ones.
+function trimMediaCache(cache) {
+  return cache.keys().then(keys => {
+    const excess = keys.length - MEDIA_CACHE_MAX_ENTRIES;
+    if (excess <= 0) return undefined;
+    return Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+  });
+}
+
+// Whether a media response may be stored; cross-origin images without CORS
+// headers come back opaque, which is fine to cache and display
+function isCacheableMedia(response) {
+  return Boolean(response) && (response.ok || response.type === 'opaque');
+}
+
+// Cache one exercise media file unless it is already stored
+function cacheMedia(url) {
+  if (url.startsWith('data:')) return Promise.resolve();
+
+  const isSameOrigin = new URL(url, self.location).origin === self.location.origin;
+  const request = new Request(url, { mode: isSameOrigin ? 'same-origin' : 'no-cors' });
+
+  return caches.open(MEDIA_CACHE)
+    .then(cache => cache.match(request).then(cached => {
+      if (cached) return undefined;
+      return fetch(request).then(response => {
+        if (isCacheableMedia(response)) {
+          return cache.put(request, response).then(() => trimMediaCache(cache));
+        }
+        return undefined;
+      });
+    }))
+    .catch(error => console.log('Could not cache exercise media:', url, error));
+}
+
+// Request that bypasses the HTTP cache, so a new cache version never
+// stores stale bytes under a new revision
+function freshRequest(url) {
+  return new Request(url, { cache: 'reload' });
+}
+
+// Cache an optional file, ignoring failures (e.g. assets not deployed)
+function cacheOptional(cache, url) {
+  return cache.add(freshRequest(url)).catch(error => {
+    console.log('Skipping optional asset:', url, error);
+  });
+}
+
+// Install event - cache the app shell, then optional assets and catalog media.
+// The new worker then waits until the page sends SKIP_WAITING.
 self.addEventListener('install', event => {
+  const { required, optional } = self.PRECACHE_MANIFEST;
+
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then(cache => {
-        console.log('Caching app assets');
-        return cache.addAll(ASSETS_TO_CACHE);
+        console.log('Caching app assets', self.PRECACHE_MANIFEST.version);
+        return cache.addAll(['./', ...required.map(entry => entry.url)].map(freshRequest))
+          .then(() => Promise.all(optional.map(entry => cacheOptional(cache, entry.url))))
+          .then(() => getCatalogMedia())
+          .then(media => Promise.all(media.map(cacheMedia)));
       })
-      .then(() => self.skipWaiting())
   );
 });
 
-// Activate event - clean up old caches
+// Message event
+// - SKIP_WAITING: the page asks a waiting worker to take over once the user
+//   has accepted the update and no timer is running
+// - CACHE_MEDIA: the page warms the media cache with exercise images
+self.addEventListener('message', event => {
+  if (!event.data) return;
+
+  if (event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (event.data.type === 'CACHE_MEDIA' && Array.isArray(event.data.urls)) {
+    event.waitUntil(Promise.all(event.data.urls.map(cacheMedia)));
+  }
+});
+
+// Activate event - clean up caches from older versions
 self.addEventListener('activate', event => {
   event.waitUntil(
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.filter(cacheName => {
-          return cacheName !== CACHE_NAME;
+          return cacheName.startsWith(CACHE_PREFIX) &&
+            cacheName !== CACHE_NAME &&
+            cacheName !== MEDIA_CACHE;
         }).map(cacheName => {
           console.log('Deleting old cache:', cacheName);
           return caches.delete(cacheName);
@@ -59,41 +136,112 @@ self.addEventListener('activate', event => {
   );
 });
 
-// Fetch event - serve from cache if available, otherwise fetch from network
-self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Return cached response if found
-        if (response) {
-          return response;
-        }
-        
-        // Clone the request because it's a one-time use stream
-        const fetchRequest = event.request.clone();
-        
-        // Make network request and cache the response for future
-        return fetch(fetchRequest).then(response => {
-          // Check if valid response
-          if (!response || response.status !== 200 || response.type !== 'basic') {
-            return response;
+// Network-first: fresh pages when online, cached page or offline page otherwise
+function networkFirst(request) {
+  return fetch(request)
+    .then(response => {
+      if (response && response.ok) {
+        const responseToCache = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, responseToCache));
+      }
+      return response;
+    })
+    .catch(() => {
+      return caches.match(request, { ignoreSearch: true })
+        .then(cached => cached || caches.match(OFFLINE_URL));
+    });
+}
+
+// Cache-first: serve from the precache, otherwise fetch and store same-origin responses
+function cacheFirst(request) {
+  return caches.match(request).then(cached => {
+    if (cached) {
+      return cached;
+    }
+
+    return fetch(request).then(response => {
+      if (response && response.ok && response.type === 'basic') {
+        const responseToCache = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, responseToCache));
+      }
+      return response;
+    });
+  });
+}
+
+// Media: precached files first, then the LRU runtime media cache, then network
+function mediaCacheFirst(request) {
+  return caches.open(CACHE_NAME)
+    .then(cache => cache.match(request))
+    .then(precached => {
+      if (precached) {
+        return precached;
+      }
+
+      return caches.open(MEDIA_CACHE).then(cache =>
+        cache.match(request).then(cached => {
+          if (cached) {
+            // Re-insert to mark the entry as most recently used
+            cache.put(request, cached.clone());
+            return cached;
           }
-          
-          // Clone the response because it's a one-time use stream
-          const responseToCache = response.clone();
-          
-          // Open cache and store response
-          caches.open(CACHE_NAME)
-            .then(cache => {
-              cache.put(event.request, responseToCache);
-            });
-            
-          return response;
-        }).catch(error => {
-          // Network request failed, respond with offline page or fallback
-          console.log('Fetch failed:', error);
-          // You could return a custom offline page here
-        });
-      })
+
+          return fetch(request).then(response => {
+            if (isCacheableMedia(response)) {
+              const responseToCache = response.clone();
+              cache.put(request, responseToCache).then(() => trimMediaCache(cache));
+            }
+            return response;
+          });
+        })
+      );
+    });
+}
+
+// Fetch event - pick a strategy per kind of resource
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // HTML: network-first so deploys show up, with an offline fallback
+  if (request.mode === 'navigate' || request.destination === 'document') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  // Media (local or remote): cache-first, it rarely changes and is the
+  // heaviest to fetch
+  if (MEDIA_DESTINATIONS.includes(request.destination) || MEDIA_PATTERN.test(url.pathname)) {
+    event.respondWith(mediaCacheFirst(request));
+    return;
+  }
+
+  // Other same-origin files (scripts, styles, catalog) come from the
+  // versioned precache; a new deploy installs a new cache
+  if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// Notification click - relay the chosen action to the app. Starting the
+// break focuses the app; snoozing leaves it in the background. Without an
+// open window the app is opened with the action in its URL instead.
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const action = event.action || 'start-break';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      const client = clients[0];
+
+      if (client) {
+        client.postMessage({ type: 'NOTIFICATION_ACTION', action });
+        return action === 'snooze' ? undefined : client.focus();
+      }
+
+      return self.clients.openWindow(`./?action=${encodeURIComponent(action)}`);
+    })
   );
-});
\ No newline at end of file
+});